@@ -0,0 +1,146 @@
+// eval.js
+// Evaluate RAG answer quality on a dataset (see lib/evaluation.js):
+//
+//   node eval.js eval/sample-dataset.json --offline
+//   node eval.js my-dataset.json --k 5 --chunk-size 500 --baseline eval-reports/my-dataset/report.json
+//
+// The documents are ingested into a throwaway data directory, so the
+// server's own index is left alone. Writes report.json and report.html to
+// --out (default eval-reports/<dataset name>).
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { parseArgs } from "util";
+import { loadDataset, runEvaluation, compareReports, renderHtmlReport } from "./lib/evaluation.js";
+import { parseChunkingOptions } from "./lib/chunking.js";
+
+const USAGE = `Usage: node eval.js <dataset.json> [options]
+
+  --out <dir>              where to write report.json and report.html
+  --baseline <report.json> compare with the report of an earlier run
+  --k <n>                  fragments per question (default 3)
+  --mode <mode>            vector, keyword or hybrid (default hybrid)
+  --min-relevance <0-1>    override MIN_RELEVANCE
+  --chunk-size <n>, --chunk-overlap <n>, --chunk-strategy <s>, --chunk-unit <u>
+  --offline                use the fake chat model and embeddings
+  --verbose                show the server's logs`;
+
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    out: { type: "string" },
+    baseline: { type: "string" },
+    k: { type: "string" },
+    mode: { type: "string" },
+    "min-relevance": { type: "string" },
+    "chunk-size": { type: "string" },
+    "chunk-overlap": { type: "string" },
+    "chunk-strategy": { type: "string" },
+    "chunk-unit": { type: "string" },
+    offline: { type: "boolean", default: false },
+    verbose: { type: "boolean", default: false },
+    help: { type: "boolean", default: false },
+  },
+});
+
+const log = console.log;
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+if (args.help || positionals.length !== 1) {
+  log(USAGE);
+  process.exit(args.help ? 0 : 1);
+}
+
+const number = (name) => {
+  if (args[name] === undefined) return undefined;
+  const value = Number(args[name]);
+  if (!Number.isFinite(value)) fail(`--${name} must be a number`);
+  return value;
+};
+
+const dataset = await loadDataset(positionals[0]).catch(error => fail(error.message));
+const retrieval = {
+  k: number("k") ?? dataset.retrieval.k ?? 3,
+  mode: args.mode ?? dataset.retrieval.mode ?? "hybrid",
+  minRelevance: number("min-relevance") ?? dataset.retrieval.minRelevance,
+};
+
+let chunking;
+try {
+  chunking = parseChunkingOptions({
+    ...dataset.chunking,
+    ...(args["chunk-size"] !== undefined ? { size: number("chunk-size") } : {}),
+    ...(args["chunk-overlap"] !== undefined ? { overlap: number("chunk-overlap") } : {}),
+    ...(args["chunk-strategy"] !== undefined ? { strategy: args["chunk-strategy"] } : {}),
+    ...(args["chunk-unit"] !== undefined ? { unit: args["chunk-unit"] } : {}),
+  });
+} catch (error) {
+  fail(error.message);
+}
+
+let baseline = null;
+if (args.baseline) {
+  try {
+    baseline = JSON.parse(await fs.promises.readFile(args.baseline, "utf8"));
+  } catch (error) {
+    fail(`Cannot read baseline ${args.baseline}: ${error.message}`);
+  }
+}
+
+// The server reads its settings when imported
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "rag-eval-"));
+process.env.DATA_DIR = dataDir;
+if (args.offline) {
+  process.env.LLM_PROVIDER = "fake";
+  process.env.EMBEDDING_PROVIDER = "fake";
+}
+if (!args.verbose) {
+  console.log = () => {};
+}
+
+try {
+  const { ragSystem, RETRIEVAL_MODES } = await import("./server.js");
+  if (!RETRIEVAL_MODES.includes(retrieval.mode)) {
+    throw new Error(`Unknown retrieval mode. Use one of: ${RETRIEVAL_MODES.join(", ")}`);
+  }
+
+  log(`\n📊 Evaluating ${dataset.name}: ${dataset.questions.length} questions over ${dataset.documents.length} documents`);
+  log(`   ${ragSystem.llmName} · ${ragSystem.embeddingName} · ${retrieval.mode}, k=${retrieval.k} · chunks of ${chunking.size} ${chunking.unit}`);
+
+  const report = await runEvaluation(ragSystem, dataset, {
+    ...retrieval,
+    chunking,
+    onProgress: (completed, total) => process.stdout.write(`\r   ${completed}/${total} questions`),
+  });
+  process.stdout.write("\n");
+  if (baseline) {
+    report.comparison = compareReports(report, baseline);
+  }
+
+  const outDir = args.out || path.join("eval-reports", dataset.name);
+  await fs.promises.mkdir(outDir, { recursive: true });
+  await fs.promises.writeFile(path.join(outDir, "report.json"), JSON.stringify(report, null, 2) + "\n");
+  await fs.promises.writeFile(path.join(outDir, "report.html"), renderHtmlReport(report));
+
+  const format = (value) => (value === null ? "–" : value.toFixed(3));
+  log("");
+  for (const metric of ["hitRate", "mrr", "answerSimilarity", "groundedness"]) {
+    const delta = report.comparison?.metrics[metric].delta;
+    log(`   ${metric.padEnd(17)} ${format(report.metrics[metric])}${delta ? ` (${delta > 0 ? "+" : ""}${delta.toFixed(3)})` : ""}`);
+  }
+  log(`   ${"notFound".padEnd(17)} ${report.metrics.notFound}`);
+  for (const change of report.comparison?.changed || []) {
+    log(`   ${change.hit ? "✅ now found" : "❌ now missed"}: ${change.question}`);
+  }
+  log(`\n✅ Report written to ${path.join(outDir, "report.json")} and report.html\n`);
+} catch (error) {
+  console.error(`❌ Evaluation failed: ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+}
@@ -0,0 +1,223 @@
+import fs from "fs";
+import path from "path";
+import { createHash, randomBytes, randomUUID, scrypt, scryptSync, timingSafeEqual } from "crypto";
+import { promisify } from "util";
+import { writeFileAtomic } from "./files.js";
+
+// Everything belongs to this workspace when authentication is off
+export const DEFAULT_WORKSPACE = "default";
+
+// Authentication settings from the environment. Authentication is on as
+// soon as a user or an API key is configured (or AUTH_ENABLED=true).
+//   AUTH_USERS    web UI logins, "username:password[:workspace]" separated by
+//                 commas; the workspace defaults to the username
+//   API_KEYS      keys for programmatic clients, "key:workspace" separated by
+//                 commas (more can be created with POST /api/auth/keys)
+//   AUTH_ADMINS   usernames allowed to change server settings such as the
+//                 prompt templates, separated by commas
+//   AUTH_SESSION_TTL_MINUTES  how long a login lasts (default 720)
+//   AUTH_MAX_LOGIN_ATTEMPTS   login attempts allowed per user and per
+//                             address every 15 minutes (default 5)
+export function authSettings(env = process.env) {
+  const entries = (value) => String(value || "").split(",").map(entry => entry.trim()).filter(Boolean);
+
+  const users = entries(env.AUTH_USERS).map(entry => {
+    const [username, password, workspace] = entry.split(":");
+    return { username, password, workspace: workspace || username };
+  }).filter(user => user.username && user.password);
+  const apiKeys = entries(env.API_KEYS).map(entry => {
+    const [key, workspace] = entry.split(":");
+    return { key, workspace: workspace || DEFAULT_WORKSPACE };
+  }).filter(apiKey => apiKey.key);
+
+  return {
+    enabled: env.AUTH_ENABLED === "true" || users.length > 0 || apiKeys.length > 0,
+    users,
+    apiKeys,
+    admins: entries(env.AUTH_ADMINS),
+    sessionTtlMs: (Number(env.AUTH_SESSION_TTL_MINUTES) || 720) * 60 * 1000,
+    maxLoginAttempts: Number(env.AUTH_MAX_LOGIN_ATTEMPTS) || 5,
+  };
+}
+
+const scryptAsync = promisify(scrypt);
+
+function hashKey(key) {
+  return createHash("sha256").update(key).digest("hex");
+}
+
+// Users, login tokens and API keys. Passwords are only kept as scrypt
+// hashes, API keys as SHA-256 hashes; login tokens live in memory, so a
+// restart logs everyone out. Keys created through the API are persisted to
+// `file`.
+export class AuthStore {
+  constructor({ enabled = false, users = [], apiKeys = [], admins = [], sessionTtlMs = 12 * 60 * 60 * 1000, maxLoginAttempts = 5, loginWindowMs = 15 * 60 * 1000, file = null } = {}) {
+    this.enabled = enabled;
+    this.sessionTtlMs = sessionTtlMs;
+    this.maxLoginAttempts = maxLoginAttempts;
+    this.loginWindowMs = loginWindowMs;
+    // "user:<name>" or "ip:<address>" -> { count, resetAt }
+    this.loginAttempts = new Map();
+    this.file = file;
+    this.users = new Map(users.map(({ username, password, workspace }) => {
+      const salt = randomBytes(16);
+      return [username, { username, workspace, salt, hash: scryptSync(password, salt, 32) }];
+    }));
+    // Keys from the environment cannot be listed or revoked through the API
+    this.configuredKeys = new Map(apiKeys.map(({ key, workspace }) => [hashKey(key), { workspace }]));
+    this.apiKeys = new Map();
+    this.tokens = new Map();
+    this.admins = new Set(admins);
+  }
+
+  // Admins are the users listed in AUTH_ADMINS; with authentication off
+  // everyone is
+  isAdmin(principal) {
+    if (!this.enabled) return true;
+    return principal?.type === "user" && this.admins.has(principal.name);
+  }
+
+  // Returns { token, principal } or null if the credentials are wrong.
+  // Attempts are counted per user and per client address (`ip`): past
+  // maxLoginAttempts in the window, login throws a 429 error without
+  // hashing anything, so guessing cannot hog the CPU. Logging in resets the
+  // user's count.
+  async login(username, password, { ip = null, now = Date.now() } = {}) {
+    const limits = [`user:${username}`, ...(ip ? [`ip:${ip}`] : [])];
+    const retryAfter = this.countLoginAttempt(limits, now);
+    if (retryAfter) {
+      throw Object.assign(new Error("Too many login attempts, please retry later"), { status: 429, code: "rate_limited", retryAfter });
+    }
+
+    const user = this.users.get(username);
+    // Hash anyway so unknown users take as long as wrong passwords
+    const salt = user ? user.salt : randomBytes(16);
+    const hash = await scryptAsync(String(password || ""), salt, 32);
+    if (!user || !timingSafeEqual(hash, user.hash)) {
+      return null;
+    }
+    this.loginAttempts.delete(limits[0]);
+
+    const token = randomBytes(32).toString("base64url");
+    const principal = { type: "user", name: user.username, workspace: user.workspace };
+    this.tokens.set(token, { principal, expiresAt: Date.now() + this.sessionTtlMs });
+    return { token, principal };
+  }
+
+  // Count an attempt against every limit, unless one is reached: then
+  // return the seconds until it resets
+  countLoginAttempt(limits, now) {
+    const counters = limits.map(limit => {
+      const counter = this.loginAttempts.get(limit);
+      return counter && counter.resetAt > now ? counter : { count: 0, resetAt: now + this.loginWindowMs };
+    });
+    const blocked = counters.filter(counter => counter.count >= this.maxLoginAttempts);
+    if (blocked.length > 0) {
+      return Math.ceil((Math.max(...blocked.map(counter => counter.resetAt)) - now) / 1000);
+    }
+    counters.forEach((counter, i) => {
+      counter.count++;
+      this.loginAttempts.set(limits[i], counter);
+    });
+    return 0;
+  }
+
+  logout(token) {
+    return this.tokens.delete(token);
+  }
+
+  // The principal ({ type, name, workspace }) of a login token or API key,
+  // or null
+  authenticate(credential, now = Date.now()) {
+    if (!credential) return null;
+
+    const session = this.tokens.get(credential);
+    if (session) {
+      if (session.expiresAt > now) return session.principal;
+      this.tokens.delete(credential);
+      return null;
+    }
+
+    const hash = hashKey(credential);
+    const configured = this.configuredKeys.get(hash);
+    if (configured) {
+      return { type: "apiKey", name: "configured key", workspace: configured.workspace };
+    }
+    const created = Array.from(this.apiKeys.values()).find(apiKey => apiKey.hash === hash);
+    if (created) {
+      created.lastUsedAt = new Date(now).toISOString();
+      return { type: "apiKey", name: created.name, workspace: created.workspace, keyId: created.id };
+    }
+    return null;
+  }
+
+  // Create an API key for the principal's workspace. The key itself is only
+  // returned here.
+  async createApiKey(principal, name) {
+    const key = `rag_${randomBytes(24).toString("base64url")}`;
+    const apiKey = {
+      id: randomUUID(),
+      name: name || "API key",
+      workspace: principal.workspace,
+      createdBy: principal.name,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      hash: hashKey(key),
+    };
+    this.apiKeys.set(apiKey.id, apiKey);
+    await this.save();
+    return { ...toApiKeyInfo(apiKey), key };
+  }
+
+  listApiKeys(workspace) {
+    return Array.from(this.apiKeys.values())
+      .filter(apiKey => apiKey.workspace === workspace)
+      .map(toApiKeyInfo);
+  }
+
+  async revokeApiKey(workspace, keyId) {
+    const apiKey = this.apiKeys.get(keyId);
+    if (!apiKey || apiKey.workspace !== workspace) {
+      return null;
+    }
+    this.apiKeys.delete(keyId);
+    await this.save();
+    return toApiKeyInfo(apiKey);
+  }
+
+  // Drop expired login tokens and login attempt counters
+  sweep(now = Date.now()) {
+    for (const [token, session] of this.tokens) {
+      if (session.expiresAt <= now) this.tokens.delete(token);
+    }
+    for (const [limit, counter] of this.loginAttempts) {
+      if (counter.resetAt <= now) this.loginAttempts.delete(limit);
+    }
+  }
+
+  startSweeper(intervalMs = 5 * 60 * 1000) {
+    const timer = setInterval(() => this.sweep(), intervalMs);
+    timer.unref();
+    return timer;
+  }
+
+  async load() {
+    if (!this.file || !fs.existsSync(this.file)) {
+      return;
+    }
+    const { apiKeys } = JSON.parse(await fs.promises.readFile(this.file, "utf8"));
+    this.apiKeys = new Map(apiKeys.map(apiKey => [apiKey.id, apiKey]));
+  }
+
+  async save() {
+    if (!this.file) return;
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await writeFileAtomic(this.file, JSON.stringify({ apiKeys: Array.from(this.apiKeys.values()) }, null, 2));
+  }
+}
+
+// An API key as exposed by the API (without its hash)
+export function toApiKeyInfo(apiKey) {
+  const { hash, ...info } = apiKey;
+  return info;
+}
@@ -0,0 +1,117 @@
+// Lexical BM25 index over the chunks in the vector store, keyed by the same
+// labels as the HNSWLib docstore. Vector search misses exact terms such as
+// part numbers and error codes; this index catches them.
+
+// Words, plus compounds like "P-101" or "v2.5" kept whole alongside their parts
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:[-_./][\p{L}\p{N}]+)*/gu;
+
+export function tokenize(text) {
+  const tokens = [];
+  for (const match of text.toLowerCase().match(TOKEN_PATTERN) || []) {
+    tokens.push(match);
+    if (/[-_./]/.test(match)) {
+      tokens.push(...match.split(/[-_./]/));
+    }
+  }
+  return tokens;
+}
+
+export class BM25Index {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    // label -> { length, termFrequencies: Map<term, count> }
+    this.entries = new Map();
+    // term -> number of entries containing it
+    this.documentFrequencies = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  add(label, text) {
+    this.remove(label);
+
+    const termFrequencies = new Map();
+    const tokens = tokenize(text);
+    for (const token of tokens) {
+      termFrequencies.set(token, (termFrequencies.get(token) || 0) + 1);
+    }
+    for (const term of termFrequencies.keys()) {
+      this.documentFrequencies.set(term, (this.documentFrequencies.get(term) || 0) + 1);
+    }
+
+    this.entries.set(label, { length: tokens.length, termFrequencies });
+    this.totalLength += tokens.length;
+  }
+
+  remove(label) {
+    const entry = this.entries.get(label);
+    if (!entry) return;
+
+    for (const term of entry.termFrequencies.keys()) {
+      const frequency = this.documentFrequencies.get(term) - 1;
+      if (frequency === 0) {
+        this.documentFrequencies.delete(term);
+      } else {
+        this.documentFrequencies.set(term, frequency);
+      }
+    }
+    this.entries.delete(label);
+    this.totalLength -= entry.length;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.documentFrequencies.clear();
+    this.totalLength = 0;
+  }
+
+  // Best `k` entries for the query: [{ label, score }], highest score first.
+  // Entries sharing no term with the query, or rejected by `filter(label)`,
+  // are left out.
+  search(query, k, filter) {
+    const terms = [...new Set(tokenize(query))];
+    const count = this.entries.size;
+    if (terms.length === 0 || count === 0) {
+      return [];
+    }
+
+    const averageLength = this.totalLength / count;
+    const results = [];
+    for (const [label, entry] of this.entries) {
+      if (filter && !filter(label)) continue;
+
+      let score = 0;
+      for (const term of terms) {
+        const frequency = entry.termFrequencies.get(term);
+        if (!frequency) continue;
+
+        const documentFrequency = this.documentFrequencies.get(term);
+        const idf = Math.log(1 + (count - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        const norm = this.k1 * (1 - this.b + this.b * entry.length / averageLength);
+        score += idf * frequency * (this.k1 + 1) / (frequency + norm);
+      }
+      if (score > 0) {
+        results.push({ label, score });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, k);
+  }
+}
+
+// Reciprocal rank fusion: each ranking contributes 1 / (constant + rank) for
+// every label it contains. Returns [{ label, score }], best first.
+export function reciprocalRankFusion(rankings, { constant = 60 } = {}) {
+  const scores = new Map();
+  for (const ranking of rankings) {
+    ranking.forEach(({ label }, index) => {
+      scores.set(label, (scores.get(label) || 0) + 1 / (constant + index + 1));
+    });
+  }
+  return Array.from(scores, ([label, score]) => ({ label, score }))
+    .sort((a, b) => b.score - a.score);
+}
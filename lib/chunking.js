@@ -0,0 +1,154 @@
+import { RecursiveCharacterTextSplitter } from "langchain/text_splitter";
+import { getEncoding } from "js-tiktoken";
+
+// Chunking options accepted per upload (and by the preview endpoint):
+//   strategy  recursive  paragraphs, then lines, then words (the default)
+//             sentence   whole sentences packed up to the size
+//             section    whole loader sections (headings, pages, CSV rows)
+//                        packed up to the size; only sections larger than
+//                        the size are split
+//   unit      characters | tokens (cl100k_base, an approximation for
+//             non-OpenAI models)
+//   size      maximum chunk length, in `unit`
+//   overlap   length shared by consecutive chunks, in `unit`; the sentence
+//             and section strategies repeat whole sentences/sections
+export const CHUNKING_STRATEGIES = ["recursive", "sentence", "section"];
+export const CHUNKING_UNITS = ["characters", "tokens"];
+export const DEFAULT_CHUNKING = { strategy: "recursive", unit: "characters", size: 1000, overlap: 200 };
+const MAX_CHUNK_SIZE = 10000;
+
+// Validate chunking options (an object, or its JSON in multipart forms) and
+// fill in the defaults. Throws an error with status 400 if invalid.
+export function parseChunkingOptions(value) {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    throw error;
+  };
+
+  let options = value ?? {};
+  if (typeof options === "string") {
+    try {
+      options = options.trim() ? JSON.parse(options) : {};
+    } catch (error) {
+      fail("chunking must be valid JSON");
+    }
+  }
+  if (typeof options !== "object" || Array.isArray(options)) {
+    fail("chunking must be an object");
+  }
+
+  const chunking = { ...DEFAULT_CHUNKING, ...options };
+  if (!CHUNKING_STRATEGIES.includes(chunking.strategy)) {
+    fail(`Unknown chunking strategy. Use one of: ${CHUNKING_STRATEGIES.join(", ")}`);
+  }
+  if (!CHUNKING_UNITS.includes(chunking.unit)) {
+    fail(`Unknown chunking unit. Use one of: ${CHUNKING_UNITS.join(", ")}`);
+  }
+  if (!Number.isInteger(chunking.size) || chunking.size < 1 || chunking.size > MAX_CHUNK_SIZE) {
+    fail(`chunking.size must be an integer between 1 and ${MAX_CHUNK_SIZE}`);
+  }
+  if (!Number.isInteger(chunking.overlap) || chunking.overlap < 0 || chunking.overlap >= chunking.size) {
+    fail("chunking.overlap must be an integer from 0 to less than chunking.size");
+  }
+
+  return {
+    strategy: chunking.strategy,
+    unit: chunking.unit,
+    size: chunking.size,
+    overlap: chunking.overlap,
+  };
+}
+
+let encoding = null;
+function countTokens(text) {
+  encoding ||= getEncoding("cl100k_base");
+  return encoding.encode(text).length;
+}
+
+export function lengthFunction(unit) {
+  return unit === "tokens" ? countTokens : (text) => text.length;
+}
+
+function recursiveSplit(text, { unit, size, overlap }) {
+  const splitter = new RecursiveCharacterTextSplitter({
+    chunkSize: size,
+    chunkOverlap: overlap,
+    lengthFunction: lengthFunction(unit),
+  });
+  return splitter.splitText(text);
+}
+
+// Greedily pack consecutive pieces (exact substrings of one text, in order)
+// into chunks up to `size`, repeating the last pieces that fit in `overlap`
+// at the start of the next chunk. Pieces larger than `size` are split
+// recursively.
+async function pack(pieces, { unit, size, overlap }, separator = "") {
+  const measure = lengthFunction(unit);
+  const chunks = [];
+  let current = [];
+
+  const emit = () => {
+    const text = current.join(separator).trim();
+    if (text) chunks.push(text);
+  };
+
+  for (const piece of pieces) {
+    if (measure(piece) > size) {
+      emit();
+      current = [];
+      chunks.push(...await recursiveSplit(piece, { unit, size, overlap }));
+      continue;
+    }
+
+    if (current.length > 0 && measure([...current, piece].join(separator)) > size) {
+      emit();
+      const carried = [];
+      for (let i = current.length - 1; i >= 0; i--) {
+        if (measure([current[i], ...carried, piece].join(separator)) > size) break;
+        if (measure([current[i], ...carried].join(separator)) > overlap) break;
+        carried.unshift(current[i]);
+      }
+      current = carried;
+    }
+    current.push(piece);
+  }
+  emit();
+
+  return chunks;
+}
+
+const sentenceSegmenter = new Intl.Segmenter("en", { granularity: "sentence" });
+
+async function sentenceSplit(text, options) {
+  const sentences = Array.from(sentenceSegmenter.segment(text), ({ segment }) => segment);
+  return pack(sentences, options);
+}
+
+// Split the sections of a loaded document into chunk texts. Every chunk is
+// a substring of the sections joined by blank lines, which is how chunks
+// are mapped back to their pages/headings/rows.
+export async function chunkSections(sections, options = DEFAULT_CHUNKING) {
+  const texts = sections.map(section => section.text);
+  switch (options.strategy) {
+    case "section":
+      return pack(texts, options, "\n\n");
+    case "sentence":
+      return sentenceSplit(texts.join("\n\n"), options);
+    default:
+      return recursiveSplit(texts.join("\n\n"), options);
+  }
+}
+
+// Length statistics of a set of chunks, in the chunking unit
+export function chunkStats(chunks, unit) {
+  const lengths = chunks.map(lengthFunction(unit));
+  const total = lengths.reduce((sum, length) => sum + length, 0);
+  return {
+    chunks: chunks.length,
+    unit,
+    minLength: lengths.length > 0 ? Math.min(...lengths) : 0,
+    maxLength: lengths.length > 0 ? Math.max(...lengths) : 0,
+    averageLength: lengths.length > 0 ? Math.round(total / lengths.length) : 0,
+  };
+}
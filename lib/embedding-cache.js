@@ -0,0 +1,159 @@
+import fs from "fs";
+import { createHash } from "crypto";
+import { logger } from "./logger.js";
+import { writeFileAtomic } from "./files.js";
+
+export function hashContent(content) {
+  return createHash("sha256").update(content).digest("hex");
+}
+
+// Persistent cache of chunk embeddings, keyed by embedding model + the
+// SHA-256 of the chunk text, so re-uploads, overlapping text batches and
+// index rebuilds do not spend embedding quota twice. The least recently
+// used entries are dropped beyond `maxEntries`.
+//
+// The file is binary and append-only: a save appends the entries added
+// since the last one, as records of
+//   [key length: uint16][key: utf8][dimensions: uint32][vector: float32 × dimensions]
+// and a later record of a key replaces an earlier one. Once the file holds
+// twice `maxEntries` records it is rewritten with the live entries only.
+export class EmbeddingCache {
+  constructor({ file, model, maxEntries = 20000 }) {
+    this.file = file;
+    this.model = model;
+    this.maxEntries = maxEntries;
+    // key -> vector, least recently used first
+    this.entries = new Map();
+    // Keys added since the last save, and the records the file holds
+    this.unsaved = new Set();
+    this.fileRecords = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  key(text) {
+    return `${this.model}:${hashContent(text)}`;
+  }
+
+  get(text) {
+    const key = this.key(text);
+    const vector = this.entries.get(key);
+    if (vector) {
+      this.entries.delete(key);
+      this.entries.set(key, vector);
+    }
+    return vector || null;
+  }
+
+  set(text, vector) {
+    const key = this.key(text);
+    this.entries.delete(key);
+    this.entries.set(key, Array.from(vector));
+    this.unsaved.add(key);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  // Embed texts with `embeddings`, only calling it for the ones not cached.
+  // Returns { vectors, hits } with the vectors in the order of `texts`;
+  // `hits` counts the texts that were cached before the call.
+  async embed(embeddings, texts) {
+    const vectors = texts.map(text => this.get(text));
+    const hits = vectors.filter(Boolean).length;
+    const missing = [...new Set(texts.filter((text, i) => !vectors[i]))];
+
+    if (missing.length > 0) {
+      const embedded = await embeddings.embedDocuments(missing);
+      missing.forEach((text, i) => this.set(text, embedded[i]));
+      texts.forEach((text, i) => {
+        vectors[i] ||= this.get(text);
+      });
+    }
+
+    return { vectors, hits };
+  }
+
+  async load() {
+    if (!fs.existsSync(this.file)) {
+      return;
+    }
+    try {
+      const { entries, records, complete } = decodeRecords(await fs.promises.readFile(this.file));
+      this.entries = entries;
+      // Appending after a cut-short record would make the rest unreadable:
+      // rewrite the file at the next save
+      this.fileRecords = complete ? records : Infinity;
+      while (this.entries.size > this.maxEntries) {
+        this.entries.delete(this.entries.keys().next().value);
+      }
+    } catch (error) {
+      // Only a cache: start over rather than fail
+      logger.warn("Embedding cache unreadable, starting empty", { error });
+      this.entries = new Map();
+      this.fileRecords = 0;
+    }
+  }
+
+  async save() {
+    const keys = [...this.unsaved].filter(key => this.entries.has(key));
+    this.unsaved.clear();
+    if (keys.length === 0) return;
+
+    try {
+      if (this.fileRecords + keys.length > 2 * this.maxEntries || !fs.existsSync(this.file)) {
+        await writeFileAtomic(this.file, encodeRecords(this.entries.keys(), this.entries));
+        this.fileRecords = this.entries.size;
+      } else {
+        await fs.promises.appendFile(this.file, encodeRecords(keys, this.entries));
+        this.fileRecords += keys.length;
+      }
+    } catch (error) {
+      // Saved next time
+      keys.forEach(key => this.unsaved.add(key));
+      throw error;
+    }
+  }
+}
+
+function encodeRecords(keys, entries) {
+  const buffers = [];
+  for (const key of keys) {
+    const vector = entries.get(key);
+    const keyBytes = Buffer.from(key, "utf8");
+    const record = Buffer.alloc(2 + keyBytes.length + 4 + vector.length * 4);
+    record.writeUInt16LE(keyBytes.length, 0);
+    keyBytes.copy(record, 2);
+    record.writeUInt32LE(vector.length, 2 + keyBytes.length);
+    const values = new Float32Array(vector);
+    Buffer.from(values.buffer).copy(record, 6 + keyBytes.length);
+    buffers.push(record);
+  }
+  return Buffer.concat(buffers);
+}
+
+// A record cut short (a crash while appending) ends the file
+function decodeRecords(buffer) {
+  const entries = new Map();
+  let records = 0;
+  let offset = 0;
+  while (offset + 2 <= buffer.length) {
+    const keyLength = buffer.readUInt16LE(offset);
+    if (offset + 6 + keyLength > buffer.length) break;
+    const key = buffer.toString("utf8", offset + 2, offset + 2 + keyLength);
+    const dimensions = buffer.readUInt32LE(offset + 2 + keyLength);
+    const start = offset + 6 + keyLength;
+    if (start + dimensions * 4 > buffer.length) break;
+    const vector = new Array(dimensions);
+    for (let i = 0; i < dimensions; i++) {
+      vector[i] = buffer.readFloatLE(start + i * 4);
+    }
+    entries.delete(key);
+    entries.set(key, vector);
+    records++;
+    offset = start + dimensions * 4;
+  }
+  return { entries, records, complete: offset === buffer.length };
+}
@@ -0,0 +1,97 @@
+// Errors of the model providers (LLM and embeddings), classified so routes
+// answer with consistent HTTP statuses. `retryAfter` (seconds) becomes the
+// Retry-After header; `retryable` errors are retried by the scheduler.
+export class ProviderError extends Error {
+  constructor(message, { status = 500, code = "provider_error", retryAfter = null, retryable = false, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+    this.retryable = retryable;
+  }
+}
+
+// 429 from the provider, or our own limiter giving up on a queued request
+export class RateLimitError extends ProviderError {
+  constructor(message = "Too many requests to the model provider, please retry later", options = {}) {
+    super(message, { status: 429, code: "rate_limited", retryable: true, ...options });
+  }
+}
+
+// 5xx from the provider or a network failure
+export class ProviderUnavailableError extends ProviderError {
+  constructor(message = "Model provider unavailable, please retry later", options = {}) {
+    super(message, { status: 503, code: "provider_unavailable", retryable: true, ...options });
+  }
+}
+
+export class ProviderTimeoutError extends ProviderError {
+  constructor(message = "Model provider timed out", options = {}) {
+    super(message, { status: 504, code: "provider_timeout", retryable: true, ...options });
+  }
+}
+
+export class ProviderAuthError extends ProviderError {
+  constructor(message = "API Key invalid or missing", options = {}) {
+    super(message, { status: 401, code: "provider_auth", ...options });
+  }
+}
+
+// HTTP status of a provider error: from the SDK error object if it has one,
+// otherwise from the message ("[429 Too Many Requests]", "status 503", "429")
+function statusOf(error) {
+  const status = error.status ?? error.statusCode ?? error.response?.status;
+  if (Number.isInteger(status)) return status;
+  const match = String(error.message).match(/\[(\d{3})\b|\bstatus(?: code)?:? (\d{3})\b|\b(429)\b/i);
+  return match ? Number(match[1] || match[2] || match[3]) : null;
+}
+
+// Seconds to wait before retrying, if the provider says: a Retry-After
+// header, or Gemini's "retry in 12.5s" / "retryDelay":"12s"
+function retryAfterOf(error) {
+  const headers = error.headers ?? error.response?.headers;
+  const header = typeof headers?.get === "function" ? headers.get("retry-after") : headers?.["retry-after"];
+  if (header && Number.isFinite(Number(header))) {
+    return Math.ceil(Number(header));
+  }
+  const match = String(error.message).match(/retry in (\d+(?:\.\d+)?)\s*s|"retryDelay":\s*"(\d+(?:\.\d+)?)s"/i);
+  return match ? Math.ceil(Number(match[1] || match[2])) : null;
+}
+
+// Bugs in our own code rather than provider failures. Node's fetch reports
+// network failures as a TypeError too ("fetch failed", with the socket
+// error as its cause): those stay provider failures.
+function isProgrammerError(error) {
+  if (error instanceof TypeError) {
+    return !error.cause && !/fetch failed/i.test(error.message);
+  }
+  return error instanceof RangeError || error instanceof ReferenceError;
+}
+
+// Turn an error thrown by a provider SDK into a ProviderError. ProviderErrors
+// and programmer errors (TypeError, RangeError, ReferenceError) are returned
+// as they are, so a bug is neither retried nor reported as the provider's.
+export function classifyProviderError(error) {
+  if (error instanceof ProviderError || isProgrammerError(error)) {
+    return error;
+  }
+
+  const message = String(error.message).toLowerCase();
+  const status = statusOf(error);
+  const options = { cause: error, retryAfter: retryAfterOf(error) };
+
+  if (status === 429 || message.includes("quota") || message.includes("rate limit") || message.includes("too many requests")) {
+    return new RateLimitError(`Model provider rate limit or quota exceeded: ${error.message}`, options);
+  }
+  if (status === 401 || status === 403 || message.includes("api key")) {
+    return new ProviderAuthError(undefined, options);
+  }
+  if (status === 504 || message.includes("timeout") || message.includes("timed out") || message.includes("etimedout")) {
+    return new ProviderTimeoutError(`Model provider timed out: ${error.message}`, options);
+  }
+  if ((status >= 500 && status < 600) || /econnrefused|econnreset|enotfound|fetch failed|socket hang up/.test(message)) {
+    return new ProviderUnavailableError(`Model provider unavailable: ${error.message}`, options);
+  }
+  return new ProviderError(error.message, options);
+}
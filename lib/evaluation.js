@@ -0,0 +1,345 @@
+import fs from "fs";
+import path from "path";
+import { contentTerms } from "./rerank.js";
+
+// Evaluation of answer quality. A dataset is a set of documents plus
+// questions with the expected answer and the document (optionally the page)
+// it should come from:
+//   {
+//     "name": "pump-manuals",
+//     "chunking": { "size": 500 },                 optional
+//     "retrieval": { "k": 3, "mode": "hybrid" },   optional
+//     "documents": [
+//       { "id": "guide", "path": "documents/guide.md" },     relative to the dataset
+//       { "id": "warranty", "name": "warranty.txt", "text": "..." }
+//     ],
+//     "questions": [
+//       { "question": "...", "expectedAnswer": "...", "expectedSource": "guide" },
+//       { "question": "...", "expectedAnswer": "...", "expectedSource": { "document": "manual", "page": 2 } }
+//     ]
+//   }
+// The documents are ingested and every question goes through
+// RAGSystem.queryWithRAG, scoring:
+//   hit rate          share of questions with an expected source among the citations
+//   MRR               mean of 1 / rank of the first expected source (0 if missing)
+//   answer similarity token F1 between the answer and the expected answer
+//   groundedness      share of answer sentences whose content words are
+//                     mostly found in the retrieved fragments
+
+export const REPORT_VERSION = 1;
+
+// Share of a sentence's content words that must appear in the fragments
+// for the sentence to count as grounded
+const GROUNDED_TERM_SHARE = 0.5;
+
+const METRICS = ["hitRate", "mrr", "answerSimilarity", "groundedness"];
+
+function invalid(message) {
+  return new Error(`Invalid dataset: ${message}`);
+}
+
+const round = (value) => (value === null ? null : Number(value.toFixed(4)));
+
+function mean(values) {
+  const present = values.filter(value => value !== null);
+  return present.length === 0 ? null : round(present.reduce((sum, value) => sum + value, 0) / present.length);
+}
+
+// Check a dataset and resolve its document paths against `baseDir`
+export function parseDataset(data, baseDir = ".") {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw invalid("expected a JSON object with documents and questions");
+  }
+  const { documents, questions } = data;
+  if (!Array.isArray(documents) || documents.length === 0) {
+    throw invalid("documents must be a non-empty array");
+  }
+  if (!Array.isArray(questions) || questions.length === 0) {
+    throw invalid("questions must be a non-empty array");
+  }
+
+  const ids = new Set();
+  const parsedDocuments = documents.map((doc, i) => {
+    if (!doc || typeof doc.id !== "string" || !doc.id) {
+      throw invalid(`documents[${i}] needs an id`);
+    }
+    if (ids.has(doc.id)) {
+      throw invalid(`duplicate document id "${doc.id}"`);
+    }
+    ids.add(doc.id);
+    if (typeof doc.path === "string") {
+      return { id: doc.id, path: path.resolve(baseDir, doc.path), name: doc.name || path.basename(doc.path) };
+    }
+    if (typeof doc.text === "string" && doc.text.trim()) {
+      return { id: doc.id, text: doc.text, name: doc.name || doc.id };
+    }
+    throw invalid(`document "${doc.id}" needs a path or a text`);
+  });
+
+  const parsedQuestions = questions.map((question, i) => {
+    if (!question || typeof question.question !== "string" || !question.question.trim()) {
+      throw invalid(`questions[${i}] needs a question`);
+    }
+    if (question.expectedAnswer !== undefined && typeof question.expectedAnswer !== "string") {
+      throw invalid(`questions[${i}].expectedAnswer must be a string`);
+    }
+    const sources = question.expectedSource === undefined ? [] : [].concat(question.expectedSource);
+    const expectedSources = sources.map(source => {
+      const { document, page = null } = typeof source === "string" ? { document: source } : source || {};
+      if (!ids.has(document)) {
+        throw invalid(`questions[${i}] expects unknown document "${document}"`);
+      }
+      if (page !== null && !Number.isInteger(page)) {
+        throw invalid(`questions[${i}] expects a page that is not an integer`);
+      }
+      return { document, page };
+    });
+    return {
+      id: question.id || `q${i + 1}`,
+      question: question.question,
+      expectedAnswer: question.expectedAnswer ?? null,
+      expectedSources,
+    };
+  });
+
+  return {
+    name: typeof data.name === "string" ? data.name : "dataset",
+    chunking: data.chunking,
+    retrieval: data.retrieval || {},
+    documents: parsedDocuments,
+    questions: parsedQuestions,
+  };
+}
+
+export async function loadDataset(file) {
+  let data;
+  try {
+    data = JSON.parse(await fs.promises.readFile(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read dataset ${file}: ${error.message}`);
+  }
+  return parseDataset(data, path.dirname(file));
+}
+
+// Rank (1-based) of the first citation matching an expected source, or
+// null. `documentIds` maps dataset document ids to indexed document ids; a
+// source with a page matches citations whose page range contains it.
+export function sourceRank(citations, expectedSources, documentIds) {
+  const index = citations.findIndex(citation => expectedSources.some(({ document, page }) => {
+    if (citation.documentId !== documentIds.get(document)) return false;
+    if (page === null) return true;
+    return citation.page !== null && citation.page <= page && page <= (citation.pageEnd || citation.page);
+  }));
+  return index === -1 ? null : index + 1;
+}
+
+function withoutCitations(text) {
+  return String(text).replace(/\[\d+\]/g, " ");
+}
+
+// Token F1 between an answer and the expected answer, on content words
+export function answerSimilarity(answer, expected) {
+  const answerTerms = contentTerms(withoutCitations(answer));
+  const expectedTerms = contentTerms(expected);
+  if (answerTerms.length === 0 || expectedTerms.length === 0) {
+    return 0;
+  }
+
+  const remaining = new Map();
+  for (const term of expectedTerms) {
+    remaining.set(term, (remaining.get(term) || 0) + 1);
+  }
+  let shared = 0;
+  for (const term of answerTerms) {
+    if (remaining.get(term) > 0) {
+      shared++;
+      remaining.set(term, remaining.get(term) - 1);
+    }
+  }
+  if (shared === 0) return 0;
+  const precision = shared / answerTerms.length;
+  const recall = shared / expectedTerms.length;
+  return round((2 * precision * recall) / (precision + recall));
+}
+
+// Share of the answer's sentences supported by the fragments: a sentence
+// is supported when most of its content words occur in them. Null for an
+// answer without content words.
+export function groundedness(answer, context) {
+  const contextTerms = new Set(contentTerms(context));
+  const sentences = withoutCitations(answer)
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => contentTerms(sentence))
+    .filter(terms => terms.length > 0);
+  if (sentences.length === 0) {
+    return null;
+  }
+  const supported = sentences.filter(terms => terms.filter(term => contextTerms.has(term)).length / terms.length >= GROUNDED_TERM_SHARE);
+  return round(supported.length / sentences.length);
+}
+
+async function ingestDataset(ragSystem, documents, chunking) {
+  const documentIds = new Map();
+  for (const doc of documents) {
+    let record;
+    if (doc.text !== undefined) {
+      record = await ragSystem.ingestDocuments([doc.text], { type: "text", source: doc.name }, {}, chunking);
+      documentIds.set(doc.id, record.id);
+    } else {
+      const { info } = await ragSystem.ingestFile(await fs.promises.readFile(doc.path), doc.name, undefined, { chunking });
+      documentIds.set(doc.id, info.documentId);
+    }
+  }
+  return documentIds;
+}
+
+// Ingest the dataset into `ragSystem` (which should start empty) and score
+// every question. Options: retrieval `k`, `mode` and `minRelevance`, and
+// `chunking` (already validated); `onProgress(completed, total)`.
+//
+// Everything per question is deterministic for a given setup, so reports
+// of two runs can be diffed; the run's time and duration are kept apart in
+// `run`.
+export async function runEvaluation(ragSystem, dataset, { k, mode, minRelevance, chunking, onProgress } = {}) {
+  const startTime = Date.now();
+  const documentIds = await ingestDataset(ragSystem, dataset.documents, chunking);
+
+  const results = [];
+  for (const [i, question] of dataset.questions.entries()) {
+    const result = await ragSystem.queryWithRAG(question.question, { k, mode, minRelevance, includeContext: true });
+    const rank = question.expectedSources.length > 0
+      ? sourceRank(result.citations, question.expectedSources, documentIds)
+      : undefined;
+
+    results.push({
+      id: question.id,
+      question: question.question,
+      expectedAnswer: question.expectedAnswer,
+      expectedSources: question.expectedSources,
+      answer: result.answer,
+      notFound: Boolean(result.notFound),
+      citations: result.citations.map(citation => ({
+        document: citation.document,
+        page: citation.page,
+        relevance: citation.relevance,
+      })),
+      rank: rank ?? null,
+      hit: rank === undefined ? null : rank !== null,
+      reciprocalRank: rank === undefined ? null : round(rank ? 1 / rank : 0),
+      answerSimilarity: question.expectedAnswer === null ? null : answerSimilarity(result.answer, question.expectedAnswer),
+      groundedness: result.notFound ? null : groundedness(result.answer, result.context || ""),
+    });
+    onProgress?.(i + 1, dataset.questions.length);
+  }
+
+  return {
+    version: REPORT_VERSION,
+    dataset: {
+      name: dataset.name,
+      documents: dataset.documents.length,
+      questions: dataset.questions.length,
+    },
+    config: {
+      llm: ragSystem.llmName,
+      embeddings: ragSystem.embeddingName,
+      reranker: ragSystem.reranker.name,
+      k,
+      mode,
+      minRelevance: minRelevance ?? ragSystem.rerankSettings.minRelevance,
+      chunking,
+    },
+    metrics: summarize(results),
+    results,
+    run: { createdAt: new Date().toISOString(), durationMs: Date.now() - startTime },
+  };
+}
+
+function summarize(results) {
+  return {
+    hitRate: mean(results.map(result => (result.hit === null ? null : Number(result.hit)))),
+    mrr: mean(results.map(result => result.reciprocalRank)),
+    answerSimilarity: mean(results.map(result => result.answerSimilarity)),
+    groundedness: mean(results.map(result => result.groundedness)),
+    notFound: results.filter(result => result.notFound).length,
+  };
+}
+
+// Metric deltas against an earlier report, and the questions whose
+// retrieval hit changed
+export function compareReports(report, baseline) {
+  const metrics = Object.fromEntries(METRICS.map(metric => {
+    const before = baseline.metrics?.[metric] ?? null;
+    const after = report.metrics[metric];
+    return [metric, { baseline: before, current: after, delta: before === null || after === null ? null : round(after - before) }];
+  }));
+
+  const previous = new Map((baseline.results || []).map(result => [result.id, result]));
+  const changed = report.results
+    .filter(result => previous.has(result.id) && previous.get(result.id).hit !== result.hit)
+    .map(result => ({ id: result.id, question: result.question, hit: result.hit, baselineHit: previous.get(result.id).hit }));
+
+  return { baselineCreatedAt: baseline.run?.createdAt || null, metrics, changed };
+}
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, char => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+}
+
+function formatMetric(value) {
+  return value === null || value === undefined ? "–" : value.toFixed(3);
+}
+
+function formatDelta(delta) {
+  if (delta === null) return "";
+  const color = delta > 0 ? "#2e7d32" : delta < 0 ? "#c62828" : "#666";
+  return ` <span style="color: ${color}">(${delta > 0 ? "+" : ""}${delta.toFixed(3)})</span>`;
+}
+
+// A standalone HTML page of a report
+export function renderHtmlReport(report) {
+  const { metrics, comparison } = report;
+  const metricRows = METRICS.map(metric => `
+      <tr><th>${metric}</th><td>${formatMetric(metrics[metric])}${formatDelta(comparison?.metrics[metric].delta ?? null)}</td></tr>`).join("");
+
+  const sources = (result) => result.expectedSources
+    .map(source => escapeHtml(source.page ? `${source.document} p.${source.page}` : source.document))
+    .join(", ");
+  const resultRows = report.results.map(result => `
+      <tr class="${result.hit === false ? "miss" : ""}">
+        <td>${escapeHtml(result.id)}</td>
+        <td>${escapeHtml(result.question)}</td>
+        <td>${sources(result)}</td>
+        <td>${result.rank ?? "–"}</td>
+        <td>${formatMetric(result.answerSimilarity)}</td>
+        <td>${formatMetric(result.groundedness)}</td>
+        <td>${escapeHtml(result.answer)}${result.expectedAnswer ? `<div class="expected">Expected: ${escapeHtml(result.expectedAnswer)}</div>` : ""}</td>
+      </tr>`).join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>RAG evaluation: ${escapeHtml(report.dataset.name)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 30px; color: #333; }
+    h1 { color: #667eea; }
+    table { border-collapse: collapse; margin-bottom: 30px; }
+    th, td { border: 1px solid #ddd; padding: 8px 10px; text-align: left; vertical-align: top; }
+    th { background: #f5f5f5; }
+    tr.miss { background: #fff3f3; }
+    .expected { color: #888; margin-top: 6px; font-size: 0.9em; }
+  </style>
+</head>
+<body>
+  <h1>📊 RAG evaluation: ${escapeHtml(report.dataset.name)}</h1>
+  <p>${report.dataset.questions} questions over ${report.dataset.documents} documents · ${escapeHtml(report.config.llm)} · ${escapeHtml(report.config.embeddings)} · ${escapeHtml(report.config.mode)}, k=${report.config.k}, reranker ${escapeHtml(report.config.reranker)} · ${escapeHtml(report.run.createdAt)}${comparison ? ` · compared with the run of ${escapeHtml(comparison.baselineCreatedAt || "unknown date")}` : ""}</p>
+  <table>${metricRows}
+      <tr><th>not found</th><td>${metrics.notFound}</td></tr>
+  </table>
+  <table>
+    <tr><th>Id</th><th>Question</th><th>Expected source</th><th>Rank</th><th>Similarity</th><th>Grounded</th><th>Answer</th></tr>${resultRows}
+  </table>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,82 @@
+import Ajv from "ajv";
+
+// Structured extraction: fields described by a JSON Schema are pulled out
+// of a document. The model answers with JSON, which is validated against the
+// schema; invalid answers are sent back to the model with the validation
+// errors to repair, a few times at most.
+
+const MAX_FIELDS = 50;
+
+function invalid(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// Check an extraction schema and compile its validator. The root must be an
+// object schema with properties, one per field to extract. Throws errors
+// with status 400.
+export function compileSchema(schema) {
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+    throw invalid("schema must be a JSON Schema object");
+  }
+  if (schema.type !== "object" || !schema.properties || typeof schema.properties !== "object") {
+    throw invalid('schema must have type "object" and properties (one per field to extract)');
+  }
+  const fields = Object.keys(schema.properties);
+  if (fields.length === 0 || fields.length > MAX_FIELDS) {
+    throw invalid(`schema must have between 1 and ${MAX_FIELDS} properties`);
+  }
+
+  // A fresh Ajv per schema: a shared one would keep every schema compiled
+  // so far, and reject a second schema with the same $id
+  try {
+    const ajv = new Ajv({ allErrors: true, strict: false });
+    return { validate: ajv.compile(schema), fields };
+  } catch (error) {
+    throw invalid(`schema is not a valid JSON Schema: ${error.message}`);
+  }
+}
+
+// A search query per field, from its name and description
+export function fieldQueries(schema) {
+  return Object.entries(schema.properties).map(([field, property]) => {
+    const words = field.replace(/([a-z])([A-Z])/g, "$1 $2").replace(/[_-]+/g, " ");
+    return [words, property?.description].filter(Boolean).join(": ");
+  });
+}
+
+// The JSON object in a model reply, which may be wrapped in a ```json fence
+// or surrounded by prose. Returns undefined if there is none.
+export function parseJsonReply(reply) {
+  const text = String(reply).replace(/```(?:json)?/gi, "");
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end < start) return undefined;
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch {
+    return undefined;
+  }
+}
+
+// Human-readable validation errors of the last validate() call
+export function validationErrors(validate) {
+  return (validate.errors || []).map(error => `${error.instancePath || "data"} ${error.message}`);
+}
+
+// Check a parsed reply: returns { data, sources, errors }. `sources` keeps
+// only fragment numbers that exist and fields that are in the data.
+export function checkReply(parsed, { validate, fragmentCount }) {
+  if (!parsed || typeof parsed !== "object" || !parsed.data || typeof parsed.data !== "object") {
+    return { errors: ['the reply must be a JSON object with a "data" object'] };
+  }
+  if (!validate(parsed.data)) {
+    return { errors: validationErrors(validate) };
+  }
+
+  const sources = {};
+  for (const field of Object.keys(parsed.data)) {
+    const fragments = Array.isArray(parsed.sources?.[field]) ? parsed.sources[field] : [];
+    sources[field] = [...new Set(fragments.filter(n => Number.isInteger(n) && n >= 1 && n <= fragmentCount))];
+  }
+  return { data: parsed.data, sources, errors: [] };
+}
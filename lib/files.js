@@ -0,0 +1,16 @@
+import fs from "fs";
+import { randomBytes } from "crypto";
+
+// Write a file through a temp file renamed over it, so a crash never leaves
+// it half-written. Each write has its own temp file: overlapping writes of
+// the same file must not rename each other's.
+export async function writeFileAtomic(file, data) {
+  const tmpFile = `${file}.${process.pid}.${randomBytes(6).toString("hex")}.tmp`;
+  try {
+    await fs.promises.writeFile(tmpFile, data);
+    await fs.promises.rename(tmpFile, file);
+  } catch (error) {
+    await fs.promises.rm(tmpFile, { force: true });
+    throw error;
+  }
+}
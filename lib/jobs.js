@@ -0,0 +1,147 @@
+import { EventEmitter } from "events";
+import { randomUUID } from "crypto";
+import { logger } from "./logger.js";
+
+// In-memory queue of background jobs (document ingestion). Jobs run one at a
+// time, in order, so uploads are indexed in the order they were queued (the
+// index itself serializes its changes, whichever route makes them).
+// Every state or progress change is emitted as an "update" event with the
+// job, which is what the SSE progress stream listens to.
+export class JobStore extends EventEmitter {
+  // `run(job, onProgress)` does the work and returns the job result.
+  // `discard(job)` releases what the job holds (e.g. its uploaded file) once
+  // it is no longer needed: after success, or when a failed job expires.
+  constructor({ run, discard = () => {}, ttlMs = 60 * 60 * 1000 } = {}) {
+    super();
+    this.setMaxListeners(0);
+    this.run = run;
+    this.discard = discard;
+    this.ttlMs = ttlMs;
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = false;
+  }
+
+  // `workspace` is the owner of the job: only its requests can see it
+  create({ type, filename, workspace = null, payload }) {
+    const now = new Date().toISOString();
+    const job = {
+      id: randomUUID(),
+      type,
+      filename,
+      workspace,
+      status: "queued",
+      stage: null,
+      progress: null,
+      attempts: 0,
+      error: null,
+      result: null,
+      createdAt: now,
+      updatedAt: now,
+      payload,
+    };
+    this.jobs.set(job.id, job);
+    this.enqueue(job);
+    return job;
+  }
+
+  // A job by id, or null if unknown or owned by another workspace
+  get(jobId, workspace) {
+    const job = this.jobs.get(jobId);
+    if (!job || (workspace && job.workspace !== workspace)) {
+      return null;
+    }
+    return job;
+  }
+
+  list(workspace) {
+    const jobs = Array.from(this.jobs.values());
+    return workspace ? jobs.filter(job => job.workspace === workspace) : jobs;
+  }
+
+  // Run a failed job again with the same input. Returns null if the job is
+  // unknown (to the workspace); throws if it has not failed.
+  retry(jobId, workspace) {
+    const job = this.get(jobId, workspace);
+    if (!job) {
+      return null;
+    }
+    if (job.status !== "failed") {
+      const error = new Error(`Only failed jobs can be retried (job is ${job.status})`);
+      error.status = 409;
+      throw error;
+    }
+
+    job.error = null;
+    job.stage = null;
+    job.progress = null;
+    this.update(job, { status: "queued" });
+    this.enqueue(job);
+    return job;
+  }
+
+  enqueue(job) {
+    this.queue.push(job);
+    this.emit("update", job);
+    this.processQueue();
+  }
+
+  update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    this.emit("update", job);
+  }
+
+  async processQueue() {
+    if (this.running) return;
+    this.running = true;
+
+    while (this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.update(job, { status: "running", attempts: job.attempts + 1 });
+
+      try {
+        const result = await this.run(job, ({ stage, completed, total }) => {
+          this.update(job, { stage, progress: { completed, total } });
+        });
+        this.update(job, { status: "completed", result });
+        await this.discard(job);
+      } catch (error) {
+        logger.error("Job failed", { jobId: job.id, type: job.type, error });
+        this.update(job, { status: "failed", error: error.message });
+      }
+    }
+
+    this.running = false;
+  }
+
+  // Drop finished jobs that have not changed for longer than the TTL
+  async sweep(now = Date.now()) {
+    let removed = 0;
+    for (const [jobId, job] of this.jobs) {
+      const finished = job.status === "completed" || job.status === "failed";
+      if (finished && now - Date.parse(job.updatedAt) > this.ttlMs) {
+        this.jobs.delete(jobId);
+        if (job.status === "failed") await this.discard(job);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  startSweeper(intervalMs = 5 * 60 * 1000) {
+    const timer = setInterval(async () => {
+      const removed = await this.sweep();
+      if (removed > 0) {
+        logger.info("Expired finished jobs", { removed });
+      }
+    }, intervalMs);
+    timer.unref();
+    return timer;
+  }
+}
+
+// A job as exposed by the API (without its internal payload)
+export function toJobInfo(job) {
+  const { payload, ...info } = job;
+  return info;
+}
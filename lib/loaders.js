@@ -0,0 +1,251 @@
+import path from "path";
+import mammoth from "mammoth";
+import { parse as parseHtml, NodeType } from "node-html-parser";
+import { parse as parseCsv } from "csv-parse/sync";
+import { isOcrAvailable, ocrPdfPages } from "./ocr.js";
+import { logger } from "./logger.js";
+
+// Every loader turns an uploaded file into sections of plain text, each with
+// the structural metadata chunks inherit from it:
+//   { sections: [{ text, metadata }], details }
+// `details` ends up on the document record (e.g. the page count of a PDF).
+
+// Dynamic import for pdf-parse (lazy load)
+let pdfParse = null;
+export async function loadPdfParser() {
+  if (!pdfParse) {
+    try {
+      const module = await import("pdf-parse/lib/pdf-parse.js");
+      pdfParse = module.default;
+      logger.debug("PDF parser loaded");
+    } catch (error) {
+      logger.warn("PDF parser load failed, try: npm install pdf-parse", { error });
+    }
+  }
+  return pdfParse;
+}
+
+// Extract the text of each page separately so chunks can be traced back to pages
+export async function extractPdfPages(parser, pdfBuffer) {
+  const pages = [];
+  const data = await parser(pdfBuffer, {
+    pagerender: async (pageData) => {
+      const textContent = await pageData.getTextContent({
+        normalizeWhitespace: false,
+        disableCombineTextItems: false,
+      });
+      // Same line-joining rule as pdf-parse's default renderer
+      let lastY, text = "";
+      for (const item of textContent.items) {
+        text += (lastY === item.transform[5] || !lastY) ? item.str : "\n" + item.str;
+        lastY = item.transform[5];
+      }
+      pages[pageData.pageIndex] = text;
+      return text;
+    },
+  });
+
+  // Pages that failed to render are skipped by pdf-parse
+  return {
+    numpages: data.numpages,
+    pages: Array.from({ length: data.numpages }, (_, i) => pages[i] || ""),
+  };
+}
+
+async function loadPdf(buffer) {
+  const parser = await loadPdfParser();
+  if (!parser) {
+    throw new Error("PDF Parser library not installed");
+  }
+
+  const data = await extractPdfPages(parser, buffer);
+  logger.debug("PDF parsed", { pages: data.numpages });
+  const sections = data.pages.map((text, i) => ({ text, metadata: { page: i + 1 } }));
+
+  // Pages without a text layer are scanned images: OCR them when possible
+  const emptyPages = sections
+    .filter(section => section.text.trim().length === 0)
+    .map(section => section.metadata.page);
+  const ocrPages = [];
+  if (emptyPages.length > 0 && isOcrAvailable()) {
+    logger.info("Running OCR on pages without text", { pages: emptyPages.length });
+    for (const { page, text, confidence } of await ocrPdfPages(buffer, emptyPages)) {
+      sections[page - 1] = { text, metadata: { page, ocrConfidence: confidence } };
+      ocrPages.push({ page, confidence });
+    }
+  }
+
+  if (sections.every(section => section.text.trim().length === 0)) {
+    throw new Error(ocrPages.length > 0
+      ? "No extractable text found in PDF (OCR recognized no text either)"
+      : "No extractable text found in PDF (might be scanned/image-based)");
+  }
+
+  return {
+    sections,
+    details: ocrPages.length > 0 ? { pages: data.numpages, ocrPages } : { pages: data.numpages },
+  };
+}
+
+// Track the enclosing headings so each section knows its place in the outline
+function createOutline() {
+  const stack = [];
+  return (level, title) => {
+    while (stack.length > 0 && stack[stack.length - 1].level >= level) stack.pop();
+    stack.push({ level, title });
+    return stack.map(entry => entry.title).join(" > ");
+  };
+}
+
+// Markdown: a new section starts at every ATX heading outside code fences
+function loadMarkdown(buffer) {
+  const enterHeading = createOutline();
+  const sections = [];
+  let current = { lines: [], heading: null };
+  let inFence = false;
+
+  const flush = () => {
+    const text = current.lines.join("\n").trim();
+    if (text) {
+      sections.push({ text, metadata: current.heading ? { heading: current.heading } : {} });
+    }
+  };
+
+  for (const line of buffer.toString("utf8").split(/\r?\n/)) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const match = !inFence && line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (match) {
+      flush();
+      current = { lines: [], heading: enterHeading(match[1].length, match[2]) };
+    }
+    current.lines.push(line);
+  }
+  flush();
+
+  return { sections, details: {} };
+}
+
+const SKIPPED_TAGS = new Set(["head", "script", "style", "noscript", "template", "svg"]);
+const BLOCK_TAGS = new Set([
+  "address", "article", "aside", "blockquote", "br", "dd", "div", "dl", "dt", "figcaption",
+  "figure", "footer", "form", "header", "hr", "li", "main", "nav", "ol", "p", "pre",
+  "section", "table", "tbody", "td", "th", "thead", "tr", "ul",
+]);
+
+// HTML: text of the visible elements, with a new section at every h1-h6
+function htmlToSections(html) {
+  const enterHeading = createOutline();
+  const sections = [];
+  let current = { text: "", heading: null };
+
+  const flush = () => {
+    const text = current.text
+      .split("\n")
+      .map(line => line.replace(/[ \t\u00a0]+/g, " ").trim())
+      .filter(Boolean)
+      .join("\n");
+    if (text) {
+      sections.push({ text, metadata: current.heading ? { heading: current.heading } : {} });
+    }
+  };
+
+  const walk = (node) => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === NodeType.TEXT_NODE) {
+        current.text += child.text;
+        continue;
+      }
+      if (child.nodeType !== NodeType.ELEMENT_NODE) continue;
+
+      const tag = (child.rawTagName || "").toLowerCase();
+      if (SKIPPED_TAGS.has(tag)) continue;
+
+      const heading = tag.match(/^h([1-6])$/);
+      if (heading) {
+        flush();
+        const title = child.text.replace(/\s+/g, " ").trim();
+        current = { text: `${title}\n`, heading: enterHeading(Number(heading[1]), title) };
+        continue;
+      }
+
+      const block = BLOCK_TAGS.has(tag);
+      if (block) current.text += "\n";
+      walk(child);
+      if (block) current.text += "\n";
+    }
+  };
+
+  // node-html-parser keeps the doctype as a text node
+  walk(parseHtml(html.replace(/<!doctype[^>]*>/i, "")));
+  flush();
+  return sections;
+}
+
+function loadHtml(buffer) {
+  return { sections: htmlToSections(buffer.toString("utf8")), details: {} };
+}
+
+// DOCX: mammoth maps Word heading styles to h1-h6, so the HTML loader
+// recovers the outline
+async function loadDocx(buffer) {
+  const { value: html } = await mammoth.convertToHtml({ buffer });
+  return { sections: htmlToSections(html), details: {} };
+}
+
+function loadText(buffer) {
+  return { sections: [{ text: buffer.toString("utf8"), metadata: {} }], details: {} };
+}
+
+// CSV: one section per row, written as "column: value" pairs so every chunk
+// keeps the header names. Rows are numbered from 1, after the header line.
+function loadCsv(buffer, filename) {
+  const rows = parseCsv(buffer, {
+    columns: true,
+    bom: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    trim: true,
+  });
+  const sheet = path.parse(filename).name;
+
+  const sections = rows.map((row, i) => ({
+    text: Object.entries(row)
+      .filter(([, value]) => value !== undefined && value !== "")
+      .map(([column, value]) => `${column}: ${value}`)
+      .join("; "),
+    metadata: { sheet, row: i + 1 },
+  }));
+
+  return {
+    sections,
+    details: { rows: rows.length, columns: rows.length > 0 ? Object.keys(rows[0]).length : 0 },
+  };
+}
+
+// Supported upload formats. `name` becomes the document type.
+export const LOADERS = [
+  { name: "pdf", label: "PDF", extensions: [".pdf"], mimeTypes: ["application/pdf"], load: loadPdf },
+  {
+    name: "docx",
+    label: "DOCX",
+    extensions: [".docx"],
+    mimeTypes: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+    load: loadDocx,
+  },
+  { name: "markdown", label: "Markdown", extensions: [".md", ".markdown"], mimeTypes: ["text/markdown", "text/x-markdown"], load: loadMarkdown },
+  { name: "html", label: "HTML", extensions: [".html", ".htm"], mimeTypes: ["text/html"], load: loadHtml },
+  { name: "csv", label: "CSV", extensions: [".csv"], mimeTypes: ["text/csv"], load: loadCsv },
+  { name: "text", label: "TXT", extensions: [".txt"], mimeTypes: ["text/plain"], load: loadText },
+];
+
+export const SUPPORTED_EXTENSIONS = LOADERS.flatMap(loader => loader.extensions);
+
+// Pick the loader for an upload. The extension wins because browsers report
+// generic MIME types for many of these formats (e.g. .md as
+// application/octet-stream, .csv as application/vnd.ms-excel).
+export function findLoader(filename, mimetype) {
+  const extension = path.extname(filename || "").toLowerCase();
+  return LOADERS.find(loader => loader.extensions.includes(extension))
+    || LOADERS.find(loader => loader.mimeTypes.includes(mimetype))
+    || null;
+}
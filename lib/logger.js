@@ -0,0 +1,142 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { performance } from "perf_hooks";
+
+// Structured logging. Every entry is one JSON line (or a readable text line
+// with LOG_FORMAT=text) with the time, level, message and fields; entries
+// written while handling an HTTP request also carry its request id, taken
+// from `requestContext` so it does not have to be passed around.
+//
+// Fields that may hold user content or secrets (LOG_REDACT) are replaced
+// with their length, so logs show the shape of a request but not what the
+// user asked.
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+export const LOG_FORMATS = ["json", "text"];
+
+const DEFAULT_REDACT = [
+  "password", "token", "apiKey", "key", "authorization", "cookie",
+  "message", "query", "question", "text", "prompt", "answer", "response", "content", "history", "summary",
+];
+
+// Fields of the request being handled ({ requestId, ... })
+export const requestContext = new AsyncLocalStorage();
+
+// Logging settings from the environment
+//   LOG_LEVEL   debug, info (default), warn, error or silent
+//   LOG_FORMAT  json (default) or text
+//   LOG_REDACT  field names to redact, separated by commas ("none" to log
+//               everything; default: credentials and user content)
+export function logSettings(env = process.env) {
+  const level = env.LOG_LEVEL || "info";
+  if (LOG_LEVELS[level] === undefined) {
+    throw new Error(`Unknown LOG_LEVEL "${level}". Use one of: ${Object.keys(LOG_LEVELS).join(", ")}`);
+  }
+  const format = env.LOG_FORMAT || "json";
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`Unknown LOG_FORMAT "${format}". Use one of: ${LOG_FORMATS.join(", ")}`);
+  }
+  const redact = env.LOG_REDACT === undefined || env.LOG_REDACT === ""
+    ? DEFAULT_REDACT
+    : env.LOG_REDACT === "none" ? [] : env.LOG_REDACT.split(",").map(field => field.trim()).filter(Boolean);
+  return { level, format, redact };
+}
+
+// Lines go through the console, so whatever silences or redirects it
+// (the tests do) applies to the logs too
+function writeToConsole(line, level) {
+  if (LOG_LEVELS[level] >= LOG_LEVELS.warn) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+function serializeError(error, withStack) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code ? { code: error.code } : {}),
+    ...(error.status ? { status: error.status } : {}),
+    ...(withStack ? { stack: error.stack } : {}),
+  };
+}
+
+export class Logger {
+  constructor({ level = "info", format = "json", redact = DEFAULT_REDACT, fields = {}, write = writeToConsole } = {}) {
+    this.level = level;
+    this.format = format;
+    this.redacted = new Set(redact);
+    this.fields = fields;
+    this.write = write;
+  }
+
+  // A logger adding `fields` to every entry
+  child(fields) {
+    return new Logger({ level: this.level, format: this.format, redact: [...this.redacted], fields: { ...this.fields, ...fields }, write: this.write });
+  }
+
+  isEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+  }
+
+  debug(msg, fields) { this.log("debug", msg, fields); }
+  info(msg, fields) { this.log("info", msg, fields); }
+  warn(msg, fields) { this.log("warn", msg, fields); }
+  error(msg, fields) { this.log("error", msg, fields); }
+
+  log(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) return;
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...requestContext.getStore(),
+      ...this.fields,
+      ...this.clean(fields, level),
+    };
+    this.write(this.format === "text" ? formatText(entry) : JSON.stringify(entry), level);
+  }
+
+  // Redact and serialize fields (nested objects included)
+  clean(value, level, depth = 0) {
+    if (value instanceof Error) {
+      return serializeError(value, level === "error" || this.level === "debug");
+    }
+    if (Array.isArray(value)) {
+      return depth > 4 ? "[array]" : value.map(item => this.clean(item, level, depth + 1));
+    }
+    if (!value || typeof value !== "object") {
+      return value;
+    }
+    if (depth > 4) return "[object]";
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => {
+      if (this.redacted.has(key) && field !== null && field !== undefined) {
+        return [key, typeof field === "string" ? `[redacted ${field.length} chars]` : "[redacted]"];
+      }
+      return [key, this.clean(field, level, depth + 1)];
+    }));
+  }
+
+  // Time an operation: `end(fields)` logs a "span" entry with its name,
+  // duration and the fields given to both, and returns the duration (ms)
+  span(name, fields = {}) {
+    const start = performance.now();
+    return {
+      end: (more = {}) => {
+        const durationMs = Math.round((performance.now() - start) * 10) / 10;
+        this.info("span", { span: name, durationMs, ...fields, ...more });
+        return durationMs;
+      },
+    };
+  }
+}
+
+function formatText({ time, level, msg, ...fields }) {
+  const details = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`)
+    .join(" ");
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${details ? ` ${details}` : ""}`;
+}
+
+// The logger of the server and the lib modules, configured from the environment
+export const logger = new Logger(logSettings());
@@ -0,0 +1,105 @@
+import { lengthFunction } from "./chunking.js";
+import { logger } from "./logger.js";
+import { PromptStore } from "./prompts.js";
+
+// Token-budgeted conversation memory. The most recent messages are sent to
+// the model verbatim as long as they fit in `tokenBudget`; with the
+// "summary" strategy, messages that no longer fit are rolled into a running
+// summary written by the model, so earlier facts are not forgotten. The
+// "window" strategy simply drops them.
+export const MEMORY_STRATEGIES = ["summary", "window"];
+
+const countTokens = lengthFunction("tokens");
+
+// Memory settings from the environment
+//   MEMORY_STRATEGY            summary (default) or window
+//   MEMORY_TOKEN_BUDGET        tokens of verbatim recent history (default 1500)
+//   MEMORY_SUMMARY_MAX_TOKENS  target length of the summary (default 300)
+export function memorySettings(env = process.env) {
+  const strategy = env.MEMORY_STRATEGY || "summary";
+  if (!MEMORY_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown MEMORY_STRATEGY "${strategy}". Use one of: ${MEMORY_STRATEGIES.join(", ")}`);
+  }
+  return {
+    strategy,
+    tokenBudget: Number(env.MEMORY_TOKEN_BUDGET) || 1500,
+    summaryMaxTokens: Number(env.MEMORY_SUMMARY_MAX_TOKENS) || 300,
+  };
+}
+
+function roleOf(message) {
+  return message._getType() === "human" ? "User" : "Assistant";
+}
+
+export function formatMessages(messages) {
+  return messages.map(message => `${roleOf(message)}: ${message.content}`).join("\n");
+}
+
+// Index of the first message kept verbatim: the longest run of latest
+// messages within the budget. Turns are kept whole, so the window never
+// starts with an answer whose question was dropped.
+export function recentStart(messages, tokenBudget) {
+  let used = 0;
+  let start = messages.length;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    used += countTokens(`${roleOf(messages[i])}: ${messages[i].content}\n`);
+    if (used > tokenBudget) break;
+    start = i;
+  }
+  while (start < messages.length && roleOf(messages[start]) !== "User") {
+    start++;
+  }
+  return start;
+}
+
+export class ConversationMemory {
+  // `summarize(prompt, options)` asks the model for the new summary, with
+  // the "summarize-conversation" prompt of `prompts` (see lib/prompts.js)
+  constructor({ strategy = "summary", tokenBudget = 1500, summaryMaxTokens = 300, summarize, prompts = new PromptStore() } = {}) {
+    this.strategy = strategy;
+    this.tokenBudget = tokenBudget;
+    this.summaryMaxTokens = summaryMaxTokens;
+    this.summarize = summarize;
+    this.prompts = prompts;
+  }
+
+  // The history to put in a prompt: { summary, historyText, recentMessages }.
+  // Messages that left the window since the last call are summarized first;
+  // the summary is kept on the conversation.
+  async context(conversation, messages, options = {}) {
+    const start = recentStart(messages, this.tokenBudget);
+    const recent = messages.slice(start);
+
+    if (this.strategy === "summary") {
+      const summarized = conversation.summary?.messages || 0;
+      if (start > summarized) {
+        await this.extendSummary(conversation, messages.slice(summarized, start), options);
+        conversation.summary.messages = start;
+      }
+    }
+
+    return {
+      summary: this.strategy === "summary" ? conversation.summary?.text || "" : "",
+      historyText: formatMessages(recent),
+      recentMessages: recent.length,
+    };
+  }
+
+  async extendSummary(conversation, messages, options) {
+    const current = conversation.summary?.text || "";
+    const prompt = await this.prompts.render("summarize-conversation", {
+      summary: current || "(none)",
+      conversation: formatMessages(messages),
+      maxTokens: this.summaryMaxTokens,
+    }, { language: options.language });
+
+    const text = (await this.summarize(prompt, { signal: options.signal })).trim();
+    conversation.summary = {
+      text: text || current,
+      messages: conversation.summary?.messages || 0,
+      tokens: countTokens(text || current),
+      updatedAt: new Date().toISOString(),
+    };
+    logger.debug("Summarized older messages", { messages: messages.length, summaryTokens: conversation.summary.tokens });
+  }
+}
@@ -0,0 +1,142 @@
+// Metrics in the Prometheus text format, served by GET /metrics. Counters
+// and histograms are updated as things happen; metrics read from elsewhere
+// (queue lengths, index size) pass a `collect` function returning
+// [{ labels, value }], called at every scrape.
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  return Number.isFinite(value) ? String(Number(value.toFixed(6))) : "NaN";
+}
+
+class Metric {
+  constructor(type, { name, help, labelNames = [], collect = null }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collectValues = collect;
+    this.values = new Map();
+  }
+
+  // Series are keyed by their label values, in the order of labelNames
+  key(labels) {
+    return JSON.stringify(this.labelNames.map(name => String(labels[name] ?? "")));
+  }
+
+  labelsOf(key) {
+    return Object.fromEntries(JSON.parse(key).map((value, i) => [this.labelNames[i], value]));
+  }
+
+  async samples() {
+    if (this.collectValues) {
+      return (await this.collectValues()).map(({ labels = {}, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return [...this.values].map(([key, value]) => `${this.name}${formatLabels(this.labelsOf(key))} ${formatValue(value)}`);
+  }
+
+  async render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...await this.samples()].join("\n");
+  }
+}
+
+export class Counter extends Metric {
+  constructor(options) {
+    super("counter", options);
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = this.key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(options) {
+    super("gauge", options);
+  }
+
+  set(labels, value) {
+    this.values.set(this.key(labels), value);
+  }
+}
+
+// Durations in seconds by default
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+export class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super("histogram", options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const key = this.key(labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, { counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+    const series = this.values.get(key);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  async samples() {
+    const lines = [];
+    for (const [key, { counts, sum, count }] of this.values) {
+      const labels = this.labelsOf(key);
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  async render() {
+    const blocks = [];
+    for (const metric of this.metrics.values()) {
+      blocks.push(await metric.render());
+    }
+    return `${blocks.join("\n")}\n`;
+  }
+}
@@ -0,0 +1,123 @@
+import { createRequire } from "module";
+import { logger } from "./logger.js";
+
+// OCR fallback for scanned/image-only PDF pages: pages are rasterized with
+// pdfjs-dist onto @napi-rs/canvas and read with tesseract.js, using the
+// language data bundled in node_modules, so nothing is downloaded at runtime.
+//   OCR_ENABLED    set to "false" to turn the fallback off
+//   OCR_LANGUAGE   tesseract language code (default eng); needs the
+//                  matching @tesseract.js-data/<lang> package
+//   OCR_MAX_PAGES  pages OCR'd per document at most (default 50)
+//   OCR_SCALE      rasterization scale, 2 = 144 dpi (default 2)
+
+const require = createRequire(import.meta.url);
+
+// Canvases for pdfjs-dist, which otherwise looks for the `canvas` package
+class CanvasFactory {
+  constructor(createCanvas) {
+    this.createCanvas = createCanvas;
+  }
+
+  create(width, height) {
+    const canvas = this.createCanvas(width, height);
+    return { canvas, context: canvas.getContext("2d") };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+// Lazy load, like the PDF parser: the OCR libraries are heavy and only
+// needed for scanned documents. Returns null if they are not installed.
+let ocrLibraries;
+function loadOcrLibraries() {
+  if (ocrLibraries === undefined) {
+    try {
+      const canvas = require("@napi-rs/canvas");
+      // pdfjs-dist needs these browser globals to render in Node
+      globalThis.DOMMatrix ||= canvas.DOMMatrix;
+      globalThis.Path2D ||= canvas.Path2D;
+      globalThis.ImageData ||= canvas.ImageData;
+
+      ocrLibraries = {
+        pdfjs: require("pdfjs-dist/legacy/build/pdf.js"),
+        tesseract: require("tesseract.js"),
+        createCanvas: canvas.createCanvas,
+      };
+      logger.debug("OCR libraries loaded");
+    } catch (error) {
+      logger.warn("OCR libraries load failed, try: npm install tesseract.js @tesseract.js-data/eng @napi-rs/canvas", { error });
+      ocrLibraries = null;
+    }
+  }
+  return ocrLibraries;
+}
+
+export function ocrSettings(env = process.env) {
+  return {
+    enabled: env.OCR_ENABLED !== "false",
+    language: env.OCR_LANGUAGE || "eng",
+    maxPages: Number(env.OCR_MAX_PAGES) || 50,
+    scale: Number(env.OCR_SCALE) || 2,
+  };
+}
+
+export function isOcrAvailable(settings = ocrSettings()) {
+  return settings.enabled && loadOcrLibraries() !== null;
+}
+
+// OCR the given 1-based page numbers of a PDF.
+// Returns [{ page, text, confidence }] with tesseract's confidence (0-100).
+export async function ocrPdfPages(pdfBuffer, pageNumbers, settings = ocrSettings()) {
+  const libraries = loadOcrLibraries();
+  if (!libraries) {
+    throw new Error("OCR libraries not installed");
+  }
+
+  const { pdfjs, tesseract, createCanvas } = libraries;
+  const languageData = require(`@tesseract.js-data/${settings.language}`);
+  const canvasFactory = new CanvasFactory(createCanvas);
+
+  const pdf = await pdfjs.getDocument({
+    data: new Uint8Array(pdfBuffer),
+    canvasFactory,
+    disableFontFace: true,
+    verbosity: 0,
+  }).promise;
+  const worker = await tesseract.createWorker(settings.language, 1, {
+    langPath: languageData.langPath,
+    gzip: languageData.gzip,
+    cacheMethod: "none",
+  });
+
+  try {
+    const results = [];
+    for (const pageNumber of pageNumbers.slice(0, settings.maxPages)) {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: settings.scale });
+      const target = canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+      await page.render({ canvasContext: target.context, viewport }).promise;
+      const { data } = await worker.recognize(target.canvas.toBuffer("image/png"));
+      canvasFactory.destroy(target);
+      page.cleanup();
+
+      const text = data.text.trim();
+      logger.debug("OCR page", { page: pageNumber, chars: text.length, confidence: Math.round(data.confidence) });
+      results.push({ page: pageNumber, text, confidence: Math.round(data.confidence) });
+    }
+    return results;
+  } finally {
+    await worker.terminate();
+    await pdf.destroy();
+  }
+}
@@ -0,0 +1,390 @@
+import fs from "fs";
+import path from "path";
+import { PromptTemplate } from "@langchain/core/prompts";
+import { logger } from "./logger.js";
+import { writeFileAtomic } from "./files.js";
+
+// Named, versioned prompt templates. Every prompt the server sends has a
+// type (what it is for, and which variables it gets); each type has a
+// built-in template of the same name. More templates of a type can be
+// added, and every template keeps its versions, one of which is active.
+// Templates use {variable} placeholders (literal braces are doubled).
+//
+// Templates created or changed through the admin API are saved as one
+// JSON file per template in the prompts directory; files dropped there by
+// hand are loaded the same way:
+//   { "name": "rag-query-legal", "type": "rag-query", "description": "...",
+//     "activeVersion": 1, "versions": [{ "version": 1, "template": "..." }] }
+
+export const PROMPT_TYPES = {
+  "rag-query": {
+    description: "Question answering over retrieved document fragments",
+    variables: ["context", "question", "language"],
+    required: ["context", "question"],
+  },
+  "chat": {
+    description: "Chat with memory",
+    variables: ["history", "question", "language"],
+    required: ["question"],
+  },
+  "chat-documents": {
+    description: "Chat grounded in the documents",
+    variables: ["context", "history", "question", "language"],
+    required: ["context", "question"],
+  },
+  "condense-question": {
+    description: "Rewrite a follow-up into a standalone question for retrieval",
+    variables: ["history", "question"],
+    required: ["history", "question"],
+  },
+  "summarize-text": {
+    description: "Summary of pasted text",
+    variables: ["text", "length", "language"],
+    required: ["text"],
+  },
+  "summarize-document": {
+    description: "Final summary of a document (from its text or its section summaries)",
+    variables: ["document", "style", "length", "contentDescription", "content", "language"],
+    required: ["content"],
+  },
+  "summarize-section": {
+    description: "Summary of one section of a long document",
+    variables: ["document", "section", "content", "language"],
+    required: ["content"],
+  },
+  "summarize-conversation": {
+    description: "Running summary of the messages that left the chat memory window",
+    variables: ["summary", "conversation", "maxTokens", "language"],
+    required: ["conversation"],
+  },
+  "rerank": {
+    description: "Relevance ratings of retrieved fragments (RERANKER=llm)",
+    variables: ["question", "fragments", "language"],
+    required: ["question", "fragments"],
+  },
+  "extract": {
+    description: "Structured extraction of the fields of a JSON Schema",
+    variables: ["schema", "context", "instructions", "language"],
+    required: ["schema", "context"],
+  },
+  "extract-repair": {
+    description: "Ask again for an extraction answer that did not match the schema",
+    variables: ["prompt", "reply", "errors", "language"],
+    required: ["prompt", "reply", "errors"],
+  },
+};
+
+const BUILT_IN_TEMPLATES = {
+  "rag-query": `You are a professional document assistant. Answer the user's question based on the following context extracted from the uploaded documents.
+If the context does not contain relevant information, please explicitly state so.
+Cite the fragments you use inline with their number in square brackets, e.g. [1] or [2][3].
+
+Document Context:
+{context}
+
+User Question: {question}
+
+Please provide an accurate and detailed answer in {language}:`,
+  "chat": `You are a friendly AI assistant. Answer concisely (2-3 sentences) in {language}.
+{history}
+User: {question}
+Assistant:`,
+  "chat-documents": `You are a professional document assistant having a conversation with the user. Answer the user's latest message in {language} based on the following context extracted from their documents.
+If the context does not contain relevant information, please explicitly state so.
+Cite the fragments you use inline with their number in square brackets, e.g. [1] or [2][3].
+
+Document Context:
+{context}
+{history}
+User: {question}
+Assistant:`,
+  "condense-question": `Given the following conversation and a follow-up question, rephrase the follow-up question to be a standalone question that contains all the context needed to search the documents.
+Return only the standalone question.
+
+Conversation:
+{history}
+
+Follow-up Question: {question}
+
+Standalone Question:`,
+  "summarize-text": `Please generate a summary of the following text.
+{length}
+
+Text:
+{text}
+
+Summary (in {language}):`,
+  "summarize-document": `Please write {style} of the document "{document}".
+{length}
+{contentDescription}
+
+Document Content:
+{content}
+
+Summary (in {language}):`,
+  "summarize-section": `The following is one section ({section}) of the document "{document}".
+Summarize it in a short paragraph, keeping key facts, figures, names and conclusions.
+
+Section Content:
+{content}
+
+Section Summary (in {language}):`,
+  "summarize-conversation": `Progressively summarize the conversation below, adding to the current summary and returning a new summary.
+Keep names, numbers, decisions and open questions. Write at most {maxTokens} tokens, in {language}.
+
+Current summary:
+{summary}
+
+New lines of conversation:
+{conversation}
+
+New summary:`,
+  "rerank": `Rate how relevant each fragment is to answering the question, from 0 (unrelated) to 10 (answers it directly).
+Return only a JSON array with one number per fragment, in order, e.g. [7, 0, 3].
+
+Question: {question}
+
+Fragments:
+{fragments}
+
+Ratings:`,
+  "extract": `You extract structured data from a document. Use only the fragments below.
+Reply with a single JSON object of the form {{"data": {{...}}, "sources": {{...}}}}:
+- "data" must be valid against this JSON Schema:
+{schema}
+- "sources" maps each field of "data" to the numbers of the fragments it was taken from, e.g. {{"total": [2]}}.
+Leave out optional fields that the fragments do not contain. Write free-text values in {language}.{instructions}
+
+Document Fragments:
+{context}
+
+JSON:`,
+  "extract-repair": `{prompt}
+{reply}
+
+That reply is not valid:
+{errors}
+
+Reply again with the corrected JSON object only.
+
+JSON:`,
+};
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const MAX_TEMPLATE_LENGTH = 20000;
+
+function promptError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Check that a template parses and only uses the variables of its type,
+// including the required ones. Throws errors with status 400.
+export function validateTemplate(type, template) {
+  if (typeof template !== "string" || !template.trim() || template.length > MAX_TEMPLATE_LENGTH) {
+    throw promptError(`template must be a non-empty string of at most ${MAX_TEMPLATE_LENGTH} characters`);
+  }
+  let variables;
+  try {
+    variables = PromptTemplate.fromTemplate(template).inputVariables;
+  } catch (error) {
+    throw promptError(`template cannot be parsed (write literal braces as {{ and }}): ${error.message}`);
+  }
+
+  const { variables: allowed, required } = PROMPT_TYPES[type];
+  const unknown = variables.filter(variable => !allowed.includes(variable));
+  if (unknown.length > 0) {
+    throw promptError(`Unknown variables ${unknown.map(v => `{${v}}`).join(", ")}. "${type}" templates can use: ${allowed.map(v => `{${v}}`).join(", ")}`);
+  }
+  const missing = required.filter(variable => !variables.includes(variable));
+  if (missing.length > 0) {
+    throw promptError(`"${type}" templates must use ${missing.map(v => `{${v}}`).join(", ")}`);
+  }
+}
+
+function checkNote(note) {
+  if (note !== undefined && note !== null && (typeof note !== "string" || note.length > 500)) {
+    throw promptError("note must be a string of at most 500 characters");
+  }
+  return note || null;
+}
+
+// Per-request template selection: "name" (its active version) or
+// "name@version". Returns { name, version } (version null for the active
+// one); throws errors with status 400.
+export function parseTemplateSelection(value) {
+  const match = typeof value === "string" && value.match(/^([a-z0-9][a-z0-9-]{0,63})(?:@(\d+))?$/);
+  if (!match) {
+    throw promptError('promptTemplate must be a template name, optionally with "@version"');
+  }
+  return { name: match[1], version: match[2] ? Number(match[2]) : null };
+}
+
+// Answer language chosen per request (e.g. "German", "Português")
+export function parseLanguage(value) {
+  if (typeof value !== "string" || !/^[\p{L}][\p{L} ()-]{0,39}$/u.test(value.trim())) {
+    throw promptError("language must be a language name of at most 40 letters");
+  }
+  return value.trim();
+}
+
+// A template as listed by the API (without the text of every version)
+export function toTemplateInfo(template) {
+  return {
+    name: template.name,
+    type: template.type,
+    description: template.description,
+    builtIn: Boolean(BUILT_IN_TEMPLATES[template.name]) && template.name === template.type,
+    activeVersion: template.activeVersion,
+    versions: template.versions.length,
+    variables: PROMPT_TYPES[template.type].variables,
+    updatedAt: template.versions[template.versions.length - 1].createdAt,
+  };
+}
+
+export class PromptStore {
+  constructor({ dir, defaultLanguage = "English" } = {}) {
+    this.dir = dir;
+    this.defaultLanguage = defaultLanguage;
+    this.templates = new Map();
+    this.compiled = new Map();
+    for (const [type, template] of Object.entries(BUILT_IN_TEMPLATES)) {
+      this.templates.set(type, {
+        name: type,
+        type,
+        description: PROMPT_TYPES[type].description,
+        activeVersion: 1,
+        versions: [{ version: 1, template, note: "Built-in", createdAt: null, createdBy: null }],
+      });
+    }
+  }
+
+  // Templates saved in the prompts directory replace the built-in ones of
+  // the same name. Invalid files are skipped with a warning.
+  async load() {
+    if (!this.dir || !fs.existsSync(this.dir)) {
+      return;
+    }
+    for (const file of (await fs.promises.readdir(this.dir)).filter(file => file.endsWith(".json")).sort()) {
+      try {
+        const template = JSON.parse(await fs.promises.readFile(path.join(this.dir, file), "utf8"));
+        if (!NAME_PATTERN.test(template.name) || !PROMPT_TYPES[template.type]) {
+          throw new Error("invalid name or type");
+        }
+        template.versions.forEach(version => validateTemplate(template.type, version.template));
+        if (!template.versions.some(version => version.version === template.activeVersion)) {
+          throw new Error(`no version ${template.activeVersion}`);
+        }
+        this.templates.set(template.name, template);
+      } catch (error) {
+        logger.warn("Skipping prompt template", { file, error });
+      }
+    }
+    logger.info("Loaded prompt templates", { dir: this.dir });
+  }
+
+  async save(template) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const file = path.join(this.dir, `${template.name}.json`);
+    await writeFileAtomic(file, JSON.stringify(template, null, 2));
+  }
+
+  list() {
+    return Array.from(this.templates.values()).map(toTemplateInfo);
+  }
+
+  get(name) {
+    return this.templates.get(name) || null;
+  }
+
+  // The template to use for a prompt of `type`: the selected one (checked
+  // to be of that type) or the built-in one, at its active version unless
+  // a version is given. Throws errors with status 400 or 404.
+  resolve(type, selection = null) {
+    const name = selection?.name || type;
+    const template = this.templates.get(name);
+    if (!template) {
+      throw promptError(`Prompt template "${name}" not found`, 404);
+    }
+    if (template.type !== type) {
+      throw promptError(`Prompt template "${name}" is a "${template.type}" template, not "${type}"`);
+    }
+    const versionNumber = selection?.version || template.activeVersion;
+    const version = template.versions.find(candidate => candidate.version === versionNumber);
+    if (!version) {
+      throw promptError(`Prompt template "${name}" has no version ${versionNumber}`, 404);
+    }
+    return { name, version: version.version, template: version.template };
+  }
+
+  // Fill in a template. `language` defaults to the configured one.
+  async render(type, variables, { prompt = null, language } = {}) {
+    const { name, version, template } = this.resolve(type, prompt);
+    const key = `${name}@${version}`;
+    if (!this.compiled.has(key)) {
+      this.compiled.set(key, PromptTemplate.fromTemplate(template));
+    }
+    const compiled = this.compiled.get(key);
+    const values = { language: language || this.defaultLanguage, ...variables };
+    return compiled.format(Object.fromEntries(compiled.inputVariables.map(variable => [variable, values[variable] ?? ""])));
+  }
+
+  async create({ name, type, description, template, note }, author = null) {
+    if (typeof name !== "string" || !NAME_PATTERN.test(name)) {
+      throw promptError("name must be lowercase letters, digits and dashes (at most 64)");
+    }
+    if (this.templates.has(name)) {
+      throw promptError(`Prompt template "${name}" already exists`, 409);
+    }
+    if (!PROMPT_TYPES[type]) {
+      throw promptError(`Unknown prompt type. Use one of: ${Object.keys(PROMPT_TYPES).join(", ")}`);
+    }
+    validateTemplate(type, template);
+    checkNote(note);
+
+    const created = {
+      name,
+      type,
+      description: typeof description === "string" ? description.slice(0, 500) : "",
+      activeVersion: 1,
+      versions: [{ version: 1, template, note: note || null, createdAt: new Date().toISOString(), createdBy: author }],
+    };
+    this.templates.set(name, created);
+    await this.save(created);
+    return created;
+  }
+
+  // Add a version to a template, activating it unless `activate` is false
+  async addVersion(name, { template, note, activate = true }, author = null) {
+    const existing = this.templates.get(name);
+    if (!existing) {
+      throw promptError(`Prompt template "${name}" not found`, 404);
+    }
+    validateTemplate(existing.type, template);
+    checkNote(note);
+
+    const version = {
+      version: Math.max(...existing.versions.map(candidate => candidate.version)) + 1,
+      template,
+      note: note || null,
+      createdAt: new Date().toISOString(),
+      createdBy: author,
+    };
+    existing.versions.push(version);
+    if (activate) existing.activeVersion = version.version;
+    await this.save(existing);
+    return version;
+  }
+
+  async activate(name, versionNumber) {
+    const existing = this.templates.get(name);
+    if (!existing) {
+      throw promptError(`Prompt template "${name}" not found`, 404);
+    }
+    if (!existing.versions.some(version => version.version === versionNumber)) {
+      throw promptError(`Prompt template "${name}" has no version ${versionNumber}`, 404);
+    }
+    existing.activeVersion = versionNumber;
+    await this.save(existing);
+    return existing;
+  }
+}
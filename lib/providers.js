@@ -0,0 +1,188 @@
+import { createHash } from "crypto";
+import { ChatGoogleGenerativeAI, GoogleGenerativeAIEmbeddings } from "@langchain/google-genai";
+import { ChatOpenAI, OpenAIEmbeddings } from "@langchain/openai";
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { Embeddings } from "@langchain/core/embeddings";
+import { AIMessage, AIMessageChunk } from "@langchain/core/messages";
+import { ChatGenerationChunk } from "@langchain/core/outputs";
+import { RequestScheduler, schedulerSettings } from "./scheduler.js";
+
+// Default models per provider, overridable with LLM_MODEL / EMBEDDING_MODEL
+const DEFAULT_MODELS = {
+  gemini: { llm: "gemini-2.5-flash", embeddings: "embedding-001" },
+  openai: { llm: "llama3", embeddings: "nomic-embed-text" },
+  fake: { llm: "fake-chat", embeddings: "hash-256" },
+};
+
+// Default rate limits per provider (0 = unlimited), overridable with
+// LLM_REQUESTS_PER_MINUTE, LLM_TOKENS_PER_MINUTE, EMBEDDING_REQUESTS_PER_MINUTE
+// and EMBEDDING_TOKENS_PER_MINUTE (see lib/scheduler.js)
+const DEFAULT_LIMITS = {
+  gemini: { llm: { requestsPerMinute: 15 }, embeddings: {} },
+  openai: { llm: {}, embeddings: {} },
+  fake: { llm: {}, embeddings: {} },
+};
+
+export const PROVIDERS = Object.keys(DEFAULT_MODELS);
+
+// Plain text of a chat model input, as the fake model sees it
+function promptText(messages) {
+  return messages
+    .map(msg => (typeof msg.content === "string" ? msg.content : JSON.stringify(msg.content)))
+    .join("\n");
+}
+
+// Deterministic reply: echoes the question the prompt ends with, citing the
+// first fragment when the prompt carries document context
+function defaultFakeResponse(prompt) {
+  const lines = prompt.split("\n").map(line => line.trim()).filter(Boolean);
+  const question = [...lines].reverse().find(line => /^(User Question|User|Follow-up Question):/.test(line));
+  const subject = question
+    ? question.replace(/^[^:]+:\s*/, "")
+    : (lines[lines.length - 1] || "");
+  const citation = prompt.includes("[Fragment 1]") ? " [1]" : "";
+  return `This is a fake response to: ${subject.substring(0, 200)}${citation}`;
+}
+
+// Offline chat model for tests and local development. `respond` maps the
+// prompt text to the reply; streaming yields the reply word by word.
+export class FakeChatModel extends BaseChatModel {
+  constructor({ respond = defaultFakeResponse, delayMs = 0, ...fields } = {}) {
+    super(fields);
+    this.respond = respond;
+    this.delayMs = delayMs;
+  }
+
+  _llmType() {
+    return "fake";
+  }
+
+  async _generate(messages) {
+    const text = await this.respond(promptText(messages));
+    return {
+      generations: [{ text, message: new AIMessage(text) }],
+    };
+  }
+
+  async *_streamResponseChunks(messages, options, runManager) {
+    const text = await this.respond(promptText(messages));
+    for (const token of text.match(/\S+\s*/g) || []) {
+      if (this.delayMs) {
+        await new Promise(resolve => setTimeout(resolve, this.delayMs));
+      }
+      yield new ChatGenerationChunk({ text: token, message: new AIMessageChunk(token) });
+      await runManager?.handleLLMNewToken(token);
+    }
+  }
+}
+
+// Offline embeddings: words are hashed into a fixed number of buckets, so
+// texts sharing words get similar vectors
+export class HashEmbeddings extends Embeddings {
+  constructor({ dimensions = 256, ...params } = {}) {
+    super(params);
+    this.dimensions = dimensions;
+  }
+
+  async embedDocuments(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+
+  async embedQuery(text) {
+    return this.embedText(text);
+  }
+
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const tokens = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    for (const token of tokens) {
+      const hash = createHash("md5").update(token).digest();
+      vector[hash.readUInt32BE(0) % this.dimensions] += 1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    if (norm === 0) {
+      // Cosine similarity is undefined for the zero vector
+      vector[0] = 1;
+      return vector;
+    }
+    return vector.map(value => value / norm);
+  }
+}
+
+function createLLM(provider, model, env) {
+  switch (provider) {
+    case "gemini":
+      return new ChatGoogleGenerativeAI({
+        modelName: model,
+        temperature: 0.7,
+        apiKey: env.GOOGLE_API_KEY,
+        // Retries are done by the request scheduler
+        maxRetries: 0,
+      });
+    case "openai":
+      return new ChatOpenAI({
+        modelName: model,
+        temperature: 0.7,
+        maxRetries: 0,
+        openAIApiKey: env.OPENAI_API_KEY || "not-needed",
+        configuration: { baseURL: env.OPENAI_BASE_URL || "http://localhost:11434/v1" },
+      });
+    case "fake":
+      return new FakeChatModel();
+    default:
+      throw new Error(`Unknown LLM provider "${provider}". Use one of: ${PROVIDERS.join(", ")}`);
+  }
+}
+
+function createEmbeddings(provider, model, env) {
+  switch (provider) {
+    case "gemini":
+      return new GoogleGenerativeAIEmbeddings({
+        modelName: model,
+        apiKey: env.GOOGLE_API_KEY,
+        maxRetries: 0,
+      });
+    case "openai":
+      return new OpenAIEmbeddings({
+        modelName: model,
+        maxRetries: 0,
+        openAIApiKey: env.OPENAI_API_KEY || "not-needed",
+        configuration: { baseURL: env.OPENAI_BASE_URL || "http://localhost:11434/v1" },
+      });
+    case "fake":
+      return new HashEmbeddings();
+    default:
+      throw new Error(`Unknown embedding provider "${provider}". Use one of: ${PROVIDERS.join(", ")}`);
+  }
+}
+
+// Build the LLM and embeddings selected by configuration:
+//   LLM_PROVIDER        gemini (default) | openai | fake
+//   EMBEDDING_PROVIDER  defaults to LLM_PROVIDER
+//   LLM_MODEL, EMBEDDING_MODEL override the provider's default models
+//   OPENAI_BASE_URL, OPENAI_API_KEY for OpenAI-compatible servers (Ollama, llama.cpp)
+// Every LLM and embedding call goes through the returned schedulers.
+export function createProviders(env = process.env) {
+  const llmProvider = (env.LLM_PROVIDER || "gemini").toLowerCase();
+  const embeddingProvider = (env.EMBEDDING_PROVIDER || llmProvider).toLowerCase();
+  const llmModel = env.LLM_MODEL || DEFAULT_MODELS[llmProvider]?.llm;
+  const embeddingModel = env.EMBEDDING_MODEL || DEFAULT_MODELS[embeddingProvider]?.embeddings;
+
+  return {
+    llm: createLLM(llmProvider, llmModel, env),
+    embeddings: createEmbeddings(embeddingProvider, embeddingModel, env),
+    llmScheduler: new RequestScheduler({
+      name: "llm",
+      ...schedulerSettings(env, "LLM", DEFAULT_LIMITS[llmProvider]?.llm),
+    }),
+    embeddingScheduler: new RequestScheduler({
+      name: "embeddings",
+      ...schedulerSettings(env, "EMBEDDING", DEFAULT_LIMITS[embeddingProvider]?.embeddings),
+    }),
+    llmName: `${llmProvider}:${llmModel}`,
+    embeddingName: `${embeddingProvider}:${embeddingModel}`,
+    // Gemini is the only provider that cannot work without a key
+    needsGoogleKey: llmProvider === "gemini" || embeddingProvider === "gemini",
+  };
+}
@@ -0,0 +1,193 @@
+import { tokenize } from "./bm25.js";
+import { logger } from "./logger.js";
+import { PromptStore } from "./prompts.js";
+
+// Second retrieval stage. The first stage (vector, BM25 or hybrid search)
+// gathers a generous candidate set cheaply; a reranker then scores each
+// candidate against the query with a relevance between 0 and 1. Candidates
+// below the minimum relevance are dropped (none left means the answer is not
+// in the documents), and the fragments for the prompt are picked from the
+// rest with maximal marginal relevance, so they are not near-duplicates.
+//
+// A reranker is any object with `name` and
+// `async score(query, texts, options)` returning one relevance per text.
+export const RERANKERS = ["lexical", "llm", "none"];
+
+// Words that say nothing about relevance
+const STOP_WORDS = new Set(`a an and are as at be by can could did do does for from had has have how i if in into is it its
+me my no not of on or our should so than that the their them then there these they this to was we were what when where which
+who why will with would you your about please tell explain describe`.split(/\s+/));
+
+// Crude stemming so "pumps"/"pump" and "means"/"mean" match
+function stem(term) {
+  return term.replace(/(?:ing|ed|es|s)$/, "") || term;
+}
+
+// Content words of a text: tokenized, without stop words, stemmed
+export function contentTerms(text) {
+  return tokenize(text).filter(term => !STOP_WORDS.has(term)).map(stem);
+}
+
+// Cosine similarity at or below which an embedding match counts for
+// nothing: unrelated texts are rarely much less similar than this
+const SIMILARITY_FLOOR = 0.5;
+
+// Local cross-encoder-style scorer: looks at the query and the fragment
+// together. The word score is the share of the query's content words found
+// in the fragment (rarer words across the candidates count more), plus a
+// bonus for query word pairs appearing next to each other. Words miss
+// paraphrases ("reboot the machine" / "restart the unit"), so the relevance
+// is the better of the word score and the fragment's embedding similarity
+// from the first stage (`similarities`, cosine, null when unknown), rescaled
+// from [SIMILARITY_FLOOR, 1] to [0, 1]. Runs offline and costs no model calls.
+export class LexicalReranker {
+  constructor({ similarityFloor = SIMILARITY_FLOOR } = {}) {
+    this.name = "lexical";
+    this.similarityFloor = similarityFloor;
+  }
+
+  async score(query, texts, { similarities = [] } = {}) {
+    const semantic = texts.map((text, i) => {
+      const similarity = similarities[i];
+      if (similarity === null || similarity === undefined) return 0;
+      return Math.min(Math.max((similarity - this.similarityFloor) / (1 - this.similarityFloor), 0), 1);
+    });
+    const queryTerms = [...new Set(contentTerms(query))];
+    if (queryTerms.length === 0) {
+      return semantic.map(score => Number(score.toFixed(4)));
+    }
+
+    const fragments = texts.map(text => {
+      const fragmentTerms = contentTerms(text);
+      return { set: new Set(fragmentTerms), sequence: ` ${fragmentTerms.join(" ")} ` };
+    });
+    const weight = new Map(queryTerms.map(term => {
+      const frequency = fragments.filter(fragment => fragment.set.has(term)).length;
+      return [term, Math.log(1 + (fragments.length + 1) / (frequency + 1))];
+    }));
+    const totalWeight = queryTerms.reduce((sum, term) => sum + weight.get(term), 0);
+    const pairs = queryTerms.slice(1).map((term, i) => `${queryTerms[i]} ${term}`);
+
+    return fragments.map((fragment, i) => {
+      const coverage = queryTerms.reduce((sum, term) => sum + (fragment.set.has(term) ? weight.get(term) : 0), 0) / totalWeight;
+      const adjacency = pairs.length === 0
+        ? coverage
+        : pairs.filter(pair => fragment.sequence.includes(` ${pair} `)).length / pairs.length;
+      return Number(Math.max(0.8 * coverage + 0.2 * adjacency, semantic[i]).toFixed(4));
+    });
+  }
+}
+
+// Asks the model to rate every candidate in one call, with the "rerank"
+// prompt of `prompts`. More accurate on paraphrases than the lexical
+// scorer, at the cost of a model call per query; falls back to the lexical
+// scores if the reply cannot be parsed.
+export class LLMReranker {
+  constructor({ generate, prompts = new PromptStore(), fallback = new LexicalReranker() }) {
+    this.name = "llm";
+    this.generate = generate;
+    this.prompts = prompts;
+    this.fallback = fallback;
+  }
+
+  async score(query, texts, options = {}) {
+    const fragments = texts
+      .map((text, i) => `[${i + 1}] ${text.substring(0, 1000)}`)
+      .join("\n\n");
+    const prompt = await this.prompts.render("rerank", { question: query, fragments }, { language: options.language });
+
+    const reply = await this.generate(prompt, { signal: options.signal });
+    const ratings = parseRatings(reply, texts.length);
+    if (!ratings) {
+      logger.warn("Could not parse the reranker ratings, using lexical scores");
+      return this.fallback.score(query, texts, options);
+    }
+    return ratings.map(rating => Math.min(Math.max(rating, 0), 10) / 10);
+  }
+}
+
+function parseRatings(reply, count) {
+  const match = String(reply).match(/\[[\d\s.,]*\]/);
+  if (!match) return null;
+  try {
+    const ratings = JSON.parse(match[0]);
+    return ratings.length === count && ratings.every(Number.isFinite) ? ratings : null;
+  } catch {
+    return null;
+  }
+}
+
+// Keeps the first-stage order; relevance is the first-stage score
+// relative to the best candidate, and no threshold applies
+export class NoReranker {
+  constructor() {
+    this.name = "none";
+  }
+
+  async score(query, texts, { scores = [] } = {}) {
+    const best = Math.max(...scores, 0);
+    return scores.map(score => (best > 0 ? score / best : 0));
+  }
+}
+
+export function createReranker(name, { generate, prompts } = {}) {
+  switch (name) {
+    case "lexical":
+      return new LexicalReranker();
+    case "llm":
+      return new LLMReranker({ generate, prompts });
+    case "none":
+      return new NoReranker();
+    default:
+      throw new Error(`Unknown RERANKER "${name}". Use one of: ${RERANKERS.join(", ")}`);
+  }
+}
+
+// Reranking settings from the environment
+//   RERANKER           lexical (default), llm or none
+//   RERANK_CANDIDATES  first-stage candidates to rerank (default 20)
+//   MIN_RELEVANCE      relevance (0-1) a fragment needs (default 0.3,
+//                      ignored with RERANKER=none)
+//   MMR_LAMBDA         1 = relevance only, 0 = diversity only (default 0.7)
+export function rerankSettings(env = process.env) {
+  const number = (name, fallback) => (env[name] !== undefined && env[name] !== "" ? Number(env[name]) : fallback);
+  return {
+    reranker: env.RERANKER || "lexical",
+    candidates: number("RERANK_CANDIDATES", 20),
+    minRelevance: number("MIN_RELEVANCE", 0.3),
+    mmrLambda: number("MMR_LAMBDA", 0.7),
+  };
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  for (const term of a) {
+    if (b.has(term)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+// Maximal marginal relevance: repeatedly pick the candidate with the best
+// trade-off between its relevance and its word overlap with the fragments
+// already picked. `candidates` are [{ text, relevance, ... }]; returns `k`
+// of them in the order picked.
+export function maximalMarginalRelevance(candidates, { k, lambda = 0.7 }) {
+  const pool = candidates.map(candidate => ({ candidate, terms: new Set(contentTerms(candidate.text)) }));
+  const picked = [];
+
+  while (picked.length < k && pool.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+    pool.forEach(({ candidate, terms: candidateTerms }, index) => {
+      const redundancy = Math.max(0, ...picked.map(({ terms: pickedTerms }) => jaccard(candidateTerms, pickedTerms)));
+      const score = lambda * candidate.relevance - (1 - lambda) * redundancy;
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+    picked.push(...pool.splice(bestIndex, 1));
+  }
+  return picked.map(({ candidate }) => candidate);
+}
@@ -0,0 +1,190 @@
+import { classifyProviderError, RateLimitError } from "./errors.js";
+import { logger } from "./logger.js";
+
+// Shared scheduler for the calls to a model provider. Every call goes
+// through a FIFO queue and two token buckets (requests per minute and
+// tokens per minute), so bursts from several routes stay under the
+// provider's quota. Calls failing with a retryable error (429, 5xx,
+// network, timeout) are retried with exponential backoff and full jitter,
+// waiting at least the provider's Retry-After.
+//
+// The queue is strictly first in, first out: a large request at the head
+// waits for enough tokens rather than being overtaken by smaller ones, so
+// it cannot be starved.
+
+const MINUTE_MS = 60 * 1000;
+
+// Rough token count of a text (about 4 characters per token), used for the
+// tokens-per-minute bucket before the provider reports real usage
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+class TokenBucket {
+  // `perMinute` 0 means unlimited
+  constructor(perMinute, now) {
+    this.capacity = perMinute;
+    this.available = perMinute;
+    this.now = now;
+    this.updatedAt = now();
+  }
+
+  refill() {
+    const now = this.now();
+    this.available = Math.min(this.capacity, this.available + (now - this.updatedAt) * this.capacity / MINUTE_MS);
+    this.updatedAt = now;
+  }
+
+  // Milliseconds until `amount` can be taken (0 if it can now)
+  waitTime(amount) {
+    if (this.capacity === 0) return 0;
+    this.refill();
+    const needed = Math.min(amount, this.capacity) - this.available;
+    return needed <= 0 ? 0 : Math.ceil(needed * MINUTE_MS / this.capacity);
+  }
+
+  take(amount) {
+    if (this.capacity === 0) return;
+    this.available -= Math.min(amount, this.capacity);
+  }
+}
+
+// Scheduler settings from the environment, for the "LLM" or "EMBEDDING"
+// calls (`prefix`). Unset limits fall back to `defaults`; 0 is unlimited.
+//   <prefix>_REQUESTS_PER_MINUTE, <prefix>_TOKENS_PER_MINUTE
+//   <prefix>_MAX_QUEUE_WAIT_MS   queued calls fail with 429 after this long
+//   RETRY_MAX_ATTEMPTS           retries of a failed call (default 3)
+//   RETRY_BASE_DELAY_MS          first backoff delay (default 1000)
+//   RETRY_MAX_DELAY_MS           longest backoff delay (default 30000)
+export function schedulerSettings(env, prefix, defaults = {}) {
+  const number = (name, fallback) => (env[name] !== undefined && env[name] !== "" ? Number(env[name]) : fallback);
+  return {
+    requestsPerMinute: number(`${prefix}_REQUESTS_PER_MINUTE`, defaults.requestsPerMinute ?? 0),
+    tokensPerMinute: number(`${prefix}_TOKENS_PER_MINUTE`, defaults.tokensPerMinute ?? 0),
+    maxQueueWaitMs: number(`${prefix}_MAX_QUEUE_WAIT_MS`, 2 * MINUTE_MS),
+    maxRetries: number("RETRY_MAX_ATTEMPTS", 3),
+    baseDelayMs: number("RETRY_BASE_DELAY_MS", 1000),
+    maxDelayMs: number("RETRY_MAX_DELAY_MS", 30000),
+  };
+}
+
+export class RequestScheduler {
+  constructor({
+    name = "provider",
+    requestsPerMinute = 0,
+    tokensPerMinute = 0,
+    maxQueueWaitMs = 2 * MINUTE_MS,
+    maxRetries = 3,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    now = Date.now,
+    random = Math.random,
+  } = {}) {
+    this.name = name;
+    this.requests = new TokenBucket(requestsPerMinute, now);
+    this.tokens = new TokenBucket(tokensPerMinute, now);
+    this.maxQueueWaitMs = maxQueueWaitMs;
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.now = now;
+    this.random = random;
+    this.queue = [];
+    this.timer = null;
+    this.stats = { calls: 0, retries: 0, rateLimited: 0, failed: 0 };
+  }
+
+  get pending() {
+    return this.queue.length;
+  }
+
+  // Run `call` once the limits allow, retrying retryable failures.
+  // `tokens` is the estimated size of the call for the token bucket.
+  // Errors are rethrown as ProviderErrors (see lib/errors.js), except bugs
+  // in `call` itself, which are rethrown unchanged.
+  async run(call, { tokens = 0, signal } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire(tokens, signal);
+      try {
+        this.stats.calls++;
+        return await call();
+      } catch (error) {
+        if (signal?.aborted) throw error;
+
+        const classified = classifyProviderError(error);
+        if (classified.status === 429) this.stats.rateLimited++;
+        if (!classified.retryable || attempt >= this.maxRetries) {
+          this.stats.failed++;
+          throw classified;
+        }
+
+        const delay = this.backoff(attempt, classified.retryAfter);
+        this.stats.retries++;
+        logger.warn("Provider call failed, retrying", { scheduler: this.name, code: classified.code, retry: attempt + 1, maxRetries: this.maxRetries, delayMs: delay });
+        await sleep(delay, signal);
+      }
+    }
+  }
+
+  // Exponential backoff with full jitter, but never sooner than Retry-After
+  backoff(attempt, retryAfter) {
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    const delay = Math.round(this.random() * ceiling);
+    return retryAfter ? Math.max(delay, retryAfter * 1000) : delay;
+  }
+
+  // Wait for a turn in the queue and the tokens of both buckets
+  acquire(tokens, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        return reject(signal.reason ?? new Error("Request cancelled"));
+      }
+      const entry = { tokens, resolve, reject, signal, deadline: this.now() + this.maxQueueWaitMs };
+      signal?.addEventListener("abort", () => {
+        this.queue = this.queue.filter(queued => queued !== entry);
+        reject(signal.reason ?? new Error("Request cancelled"));
+      }, { once: true });
+      this.queue.push(entry);
+      this.drain();
+    });
+  }
+
+  drain() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    while (this.queue.length > 0) {
+      const entry = this.queue[0];
+      const wait = Math.max(this.requests.waitTime(1), this.tokens.waitTime(entry.tokens));
+
+      if (wait > 0 && this.now() + wait > entry.deadline) {
+        this.queue.shift();
+        this.stats.rateLimited++;
+        entry.reject(new RateLimitError(`Too many requests queued for ${this.name}, please retry later`, {
+          retryAfter: Math.ceil(wait / 1000),
+        }));
+        continue;
+      }
+      if (wait > 0) {
+        this.timer = setTimeout(() => this.drain(), wait);
+        this.timer.unref();
+        return;
+      }
+
+      this.queue.shift();
+      this.requests.take(1);
+      this.tokens.take(entry.tokens);
+      entry.resolve();
+    }
+  }
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(signal.reason ?? new Error("Request cancelled"));
+    }, { once: true });
+  });
+}
@@ -0,0 +1,130 @@
+import { randomUUID } from "crypto";
+import { BufferMemory } from "langchain/memory";
+import { logger } from "./logger.js";
+
+// Session ids come from a cookie or header, so only accept plain tokens
+const SESSION_ID_PATTERN = /^[\w-]{8,128}$/;
+
+export function isValidSessionId(sessionId) {
+  return typeof sessionId === "string" && SESSION_ID_PATTERN.test(sessionId);
+}
+
+// In-memory store of browser/API sessions. Each session owns its own
+// conversations, and each conversation its own BufferMemory.
+export class SessionStore {
+  constructor({ ttlMs = 60 * 60 * 1000 } = {}) {
+    this.ttlMs = ttlMs;
+    this.sessions = new Map();
+  }
+
+  // Get a session, creating it on first use, and mark it as active
+  touch(sessionId) {
+    let session = this.sessions.get(sessionId);
+    if (!session) {
+      session = {
+        id: sessionId,
+        conversations: new Map(),
+        activeConversationId: null,
+        createdAt: new Date().toISOString(),
+      };
+      this.sessions.set(sessionId, session);
+    }
+    session.lastSeen = Date.now();
+    return session;
+  }
+
+  createConversation(session, title) {
+    const now = new Date().toISOString();
+    const conversation = {
+      id: randomUUID(),
+      title: title || `Conversation ${session.conversations.size + 1}`,
+      createdAt: now,
+      updatedAt: now,
+      memory: new BufferMemory({
+        returnMessages: true,
+        memoryKey: "history",
+      }),
+    };
+    session.conversations.set(conversation.id, conversation);
+    session.activeConversationId = conversation.id;
+    return conversation;
+  }
+
+  // Resume a conversation from a parsed transcript (see lib/transcripts.js).
+  // It becomes the session's active conversation.
+  async importConversation(session, { title, createdAt, summary, messages }) {
+    const conversation = this.createConversation(session, title);
+    if (createdAt) conversation.createdAt = createdAt;
+    if (summary) conversation.summary = summary;
+    for (const message of messages) {
+      await conversation.memory.chatHistory.addMessage(message);
+    }
+    return conversation;
+  }
+
+  // Look up a conversation by id, or fall back to the session's active one
+  // (created on demand). Returns null for an unknown id.
+  getConversation(session, conversationId) {
+    if (conversationId) {
+      const conversation = session.conversations.get(conversationId) || null;
+      if (conversation) {
+        session.activeConversationId = conversation.id;
+      }
+      return conversation;
+    }
+
+    const active = session.conversations.get(session.activeConversationId);
+    return active || this.createConversation(session);
+  }
+
+  listConversations(session) {
+    return Array.from(session.conversations.values()).map(conversation => ({
+      id: conversation.id,
+      title: conversation.title,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      active: conversation.id === session.activeConversationId,
+    }));
+  }
+
+  renameConversation(session, conversationId, title) {
+    const conversation = session.conversations.get(conversationId);
+    if (!conversation) {
+      return null;
+    }
+    conversation.title = title;
+    conversation.updatedAt = new Date().toISOString();
+    return conversation;
+  }
+
+  deleteConversation(session, conversationId) {
+    const deleted = session.conversations.delete(conversationId);
+    if (deleted && session.activeConversationId === conversationId) {
+      session.activeConversationId = null;
+    }
+    return deleted;
+  }
+
+  // Drop sessions that have been idle longer than the TTL
+  sweep(now = Date.now()) {
+    let removed = 0;
+    for (const [sessionId, session] of this.sessions) {
+      if (now - session.lastSeen > this.ttlMs) {
+        this.sessions.delete(sessionId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  startSweeper(intervalMs = 5 * 60 * 1000) {
+    const timer = setInterval(() => {
+      const removed = this.sweep();
+      if (removed > 0) {
+        logger.info("Expired idle sessions", { removed });
+      }
+    }, intervalMs);
+    timer.unref();
+    return timer;
+  }
+}
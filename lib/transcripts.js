@@ -0,0 +1,169 @@
+import { HumanMessage, AIMessage } from "@langchain/core/messages";
+
+// Conversation transcripts: the messages of a conversation with the
+// metadata stored alongside them (timestamp, mode, latency, citations),
+// exported as JSON or Markdown and imported back to resume a conversation.
+export const TRANSCRIPT_VERSION = 1;
+export const TRANSCRIPT_FORMATS = ["json", "markdown"];
+export const CHAT_MODES = ["chat", "documents"];
+
+const MAX_IMPORT_MESSAGES = 1000;
+const MAX_IMPORT_CITATIONS = 100;
+const MAX_CITATION_TEXT = 1000;
+
+// Build a chat message carrying its metadata in additional_kwargs, which
+// BufferMemory keeps with the message
+export function createMessage(role, content, { timestamp = new Date().toISOString(), mode = "chat", latencyMs, citations } = {}) {
+  const metadata = { timestamp, mode };
+  if (latencyMs !== undefined && latencyMs !== null) metadata.latencyMs = latencyMs;
+  if (citations) metadata.citations = citations;
+
+  const Message = role === "user" ? HumanMessage : AIMessage;
+  return new Message({ content, additional_kwargs: metadata });
+}
+
+// A stored message as plain data. Messages saved before metadata existed
+// have a null timestamp.
+export function toTranscriptMessage(message) {
+  const metadata = message.additional_kwargs || {};
+  const entry = {
+    role: message._getType() === "human" ? "user" : "assistant",
+    content: typeof message.content === "string" ? message.content : JSON.stringify(message.content),
+    timestamp: metadata.timestamp || null,
+    mode: metadata.mode || null,
+  };
+  if (metadata.latencyMs !== undefined) entry.latencyMs = metadata.latencyMs;
+  if (metadata.citations) entry.citations = metadata.citations;
+  return entry;
+}
+
+export async function exportTranscript(conversation) {
+  const messages = await conversation.memory.chatHistory.getMessages();
+  return {
+    version: TRANSCRIPT_VERSION,
+    id: conversation.id,
+    title: conversation.title,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+    exportedAt: new Date().toISOString(),
+    // Running summary of the first `summary.messages` messages (lib/memory.js)
+    summary: conversation.summary || null,
+    messages: messages.map(toTranscriptMessage),
+  };
+}
+
+function formatCitation(citation) {
+  const location = [
+    citation.page && `p. ${citation.page}${citation.pageEnd && citation.pageEnd !== citation.page ? `-${citation.pageEnd}` : ""}`,
+    citation.row && `row ${citation.row}${citation.rowEnd && citation.rowEnd !== citation.row ? `-${citation.rowEnd}` : ""}`,
+    citation.heading,
+  ].filter(Boolean).join(", ");
+  return `[${citation.fragment}] ${citation.document || "Text batch"}${location ? ` (${location})` : ""}`;
+}
+
+// Human-readable transcript. It is not meant to be imported again.
+export function transcriptToMarkdown(transcript) {
+  const lines = [
+    `# ${transcript.title}`,
+    "",
+    `_Started ${transcript.createdAt}, exported ${transcript.exportedAt}_`,
+  ];
+
+  for (const message of transcript.messages) {
+    const details = [
+      message.timestamp,
+      message.mode === "documents" ? "from documents" : null,
+      message.latencyMs !== undefined ? `${(message.latencyMs / 1000).toFixed(2)}s` : null,
+    ].filter(Boolean).join(" · ");
+
+    lines.push("", `## ${message.role === "user" ? "🧑 User" : "🤖 Assistant"}${details ? ` — ${details}` : ""}`, "", message.content);
+    if (message.citations?.length) {
+      lines.push("", "**Sources:**", "", ...message.citations.map(citation => `- ${formatCitation(citation)}`));
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+// An imported citation reduced to the fields toCitation (server.js) writes,
+// or null if it has no fragment number. Fields of the wrong type are
+// dropped, so nothing but bounded strings and numbers reaches the UI.
+function parseCitation(citation) {
+  if (!citation || typeof citation !== "object" || !isPositiveInteger(citation.fragment)) {
+    return null;
+  }
+  const parsed = { fragment: citation.fragment };
+  for (const field of ["page", "pageEnd", "row", "rowEnd"]) {
+    if (isPositiveInteger(citation[field])) parsed[field] = citation[field];
+  }
+  for (const field of ["documentId", "document", "heading", "snippet"]) {
+    if (typeof citation[field] === "string") parsed[field] = citation[field].slice(0, MAX_CITATION_TEXT);
+  }
+  for (const field of ["score", "relevance", "ocrConfidence"]) {
+    if (Number.isFinite(citation[field])) parsed[field] = citation[field];
+  }
+  if (citation.scores && typeof citation.scores === "object") {
+    parsed.scores = {
+      vector: Number.isFinite(citation.scores.vector) ? citation.scores.vector : null,
+      keyword: Number.isFinite(citation.scores.keyword) ? citation.scores.keyword : null,
+    };
+  }
+  return parsed;
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+function invalid(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// Validate an uploaded JSON transcript (as produced by exportTranscript)
+// and return { title, createdAt, summary, messages } with the messages as
+// LangChain messages. Throws errors with status 400.
+export function parseTranscript(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw invalid("transcript must be a JSON object");
+  }
+  if (data.version !== undefined && data.version !== TRANSCRIPT_VERSION) {
+    throw invalid(`Unsupported transcript version ${data.version}`);
+  }
+  if (!Array.isArray(data.messages)) {
+    throw invalid("transcript.messages must be an array");
+  }
+  if (data.messages.length > MAX_IMPORT_MESSAGES) {
+    throw invalid(`transcript can have at most ${MAX_IMPORT_MESSAGES} messages`);
+  }
+
+  const messages = data.messages.map((message, index) => {
+    if (!message || !["user", "assistant"].includes(message.role)) {
+      throw invalid(`transcript.messages[${index}].role must be "user" or "assistant"`);
+    }
+    if (typeof message.content !== "string") {
+      throw invalid(`transcript.messages[${index}].content must be a string`);
+    }
+    if (message.timestamp && Number.isNaN(Date.parse(message.timestamp))) {
+      throw invalid(`transcript.messages[${index}].timestamp must be a date`);
+    }
+    return createMessage(message.role, message.content, {
+      timestamp: message.timestamp || null,
+      mode: CHAT_MODES.includes(message.mode) ? message.mode : "chat",
+      latencyMs: Number.isFinite(message.latencyMs) ? message.latencyMs : undefined,
+      citations: Array.isArray(message.citations)
+        ? message.citations.slice(0, MAX_IMPORT_CITATIONS).map(parseCitation).filter(Boolean)
+        : undefined,
+    });
+  });
+
+  const createdAt = data.createdAt && !Number.isNaN(Date.parse(data.createdAt)) ? new Date(data.createdAt).toISOString() : null;
+  const summary = data.summary;
+  const validSummary = summary && typeof summary.text === "string"
+    && Number.isInteger(summary.messages) && summary.messages >= 0 && summary.messages <= messages.length;
+
+  return {
+    title: typeof data.title === "string" && data.title.trim() ? data.title.trim().slice(0, 200) : null,
+    createdAt,
+    summary: validSummary ? { ...summary } : null,
+    messages,
+  };
+}
@@ -1,58 +1,427 @@
 import express from "express";
 import cors from "cors";
 import multer from "multer";
-import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
 import { HNSWLib } from "@langchain/community/vectorstores/hnswlib";
-import { GoogleGenerativeAIEmbeddings } from "@langchain/google-genai";
-import { RecursiveCharacterTextSplitter } from "langchain/text_splitter";
 import { ConversationChain } from "langchain/chains";
-import { BufferMemory } from "langchain/memory";
-import { PromptTemplate } from "@langchain/core/prompts";
+import { Document } from "@langchain/core/documents";
 import * as dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
 import fs from "fs";
+import { randomUUID, timingSafeEqual } from "crypto";
+import { SessionStore, isValidSessionId } from "./lib/sessions.js";
+import { createProviders } from "./lib/providers.js";
+import { findLoader, LOADERS, SUPPORTED_EXTENSIONS } from "./lib/loaders.js";
+import { JobStore, toJobInfo } from "./lib/jobs.js";
+import { BM25Index, reciprocalRankFusion } from "./lib/bm25.js";
+import { EmbeddingCache, hashContent } from "./lib/embedding-cache.js";
+import { estimateTokens } from "./lib/scheduler.js";
+import { classifyProviderError, ProviderError, ProviderTimeoutError } from "./lib/errors.js";
+import { AuthStore, authSettings, DEFAULT_WORKSPACE } from "./lib/auth.js";
+import { ConversationMemory, memorySettings } from "./lib/memory.js";
+import { createReranker, rerankSettings, maximalMarginalRelevance } from "./lib/rerank.js";
+import { compileSchema, fieldQueries, parseJsonReply, checkReply } from "./lib/extraction.js";
+import { PromptStore, PROMPT_TYPES, parseTemplateSelection, parseLanguage, toTemplateInfo } from "./lib/prompts.js";
+import { createMessage, toTranscriptMessage, exportTranscript, transcriptToMarkdown, parseTranscript, TRANSCRIPT_FORMATS } from "./lib/transcripts.js";
+import { DEFAULT_CHUNKING, chunkSections, chunkStats, lengthFunction, parseChunkingOptions } from "./lib/chunking.js";
+import { logger, requestContext } from "./lib/logger.js";
+import { writeFileAtomic } from "./lib/files.js";
+import { Counter, MetricsRegistry } from "./lib/metrics.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 dotenv.config();
 
-// Dynamic import for pdf-parse (lazy load)
-let pdfParse = null;
-async function loadPdfParser() {
-  if (!pdfParse) {
-    try {
-      const module = await import('pdf-parse/lib/pdf-parse.js');
-      pdfParse = module.default;
-      console.log('✅ PDF Parser loaded successfully');
-    } catch (error) {
-      console.warn('⚠️  PDF Parser load failed');
-      console.warn('   Try: npm install pdf-parse');
+// Metrics (see lib/metrics.js), served by GET /metrics. Provider queues and
+// the index are read at every scrape (registered further down).
+const metrics = new MetricsRegistry();
+const httpRequests = metrics.counter({ name: "http_requests_total", help: "HTTP requests by method, route and status", labelNames: ["method", "route", "status"] });
+const httpDuration = metrics.histogram({ name: "http_request_duration_seconds", help: "HTTP request latency by method and route", labelNames: ["method", "route"] });
+const errorsByCode = metrics.counter({ name: "rag_errors_total", help: "Errors answered to clients by error code", labelNames: ["code"] });
+const llmRequests = metrics.counter({ name: "llm_requests_total", help: "LLM calls by outcome (ok, cancelled or an error code)", labelNames: ["outcome"] });
+const llmDuration = metrics.histogram({ name: "llm_request_duration_seconds", help: "LLM call latency, queueing and retries included" });
+const llmTokens = metrics.counter({ name: "llm_tokens_total", help: "LLM tokens by type (prompt or completion); estimated when the provider does not report them", labelNames: ["type"] });
+const retrievalDuration = metrics.histogram({ name: "retrieval_duration_seconds", help: "Retrieval latency (search and reranking) by mode", labelNames: ["mode"] });
+
+// Section metadata keys that are numbered positions; chunks spanning several
+// sections record the first and last one (pageStart/pageEnd, rowStart/rowEnd)
+const RANGE_KEYS = ["page", "row"];
+
+// Annotate chunks of `text` (the sections joined by blank lines) with the
+// structural metadata of the sections they cover. Other keys (heading,
+// sheet) are taken from the section the chunk starts in, except the OCR
+// confidence, which is the lowest of the OCR'd pages the chunk covers.
+function assignSectionMetadata(chunks, text, sections) {
+  const sectionStarts = [];
+  let offset = 0;
+  for (const section of sections) {
+    sectionStarts.push(offset);
+    offset += section.text.length + 2;
+  }
+  const sectionAt = (position) => {
+    let index = 0;
+    while (index + 1 < sectionStarts.length && sectionStarts[index + 1] <= position) index++;
+    return index;
+  };
+
+  let cursor = 0;
+  for (const chunk of chunks) {
+    let position = text.indexOf(chunk.pageContent, cursor);
+    if (position === -1) position = text.indexOf(chunk.pageContent);
+    if (position === -1) continue;
+
+    cursor = position + 1;
+    const covered = sections
+      .slice(sectionAt(position), sectionAt(position + chunk.pageContent.length - 1) + 1)
+      .map(section => section.metadata);
+    const first = covered[0];
+    const last = covered[covered.length - 1];
+    for (const [key, value] of Object.entries(first)) {
+      if (RANGE_KEYS.includes(key)) {
+        chunk.metadata[`${key}Start`] = value;
+        chunk.metadata[`${key}End`] = last[key];
+      } else if (key !== "ocrConfidence") {
+        chunk.metadata[key] = value;
+      }
     }
+
+    const confidences = covered
+      .map(metadata => metadata.ocrConfidence)
+      .filter(confidence => confidence !== undefined);
+    if (confidences.length > 0) {
+      chunk.metadata.ocrConfidence = Math.min(...confidences);
+    }
+  }
+}
+
+// Summary options accepted by /api/pdf-summary
+const SUMMARY_STYLES = {
+  executive: "an executive summary in prose covering the main topic, the key points and the important conclusions or findings",
+  bullets: "a bullet-point summary of the key points, one point per line starting with \"- \"",
+  chapters: "a per-chapter summary with one heading per chapter or major section (use the page ranges given), each followed by a short summary",
+};
+const SUMMARY_LENGTHS = {
+  short: "Keep it brief (about 100 words).",
+  medium: "Aim for about 200-300 words.",
+  long: "Be thorough (about 500-800 words).",
+};
+// Lengths accepted by /api/summarize
+const SUMMARY_TEXT_LENGTHS = {
+  short: "Keep it concise (3-5 sentences).",
+  medium: "Aim for one or two paragraphs.",
+  long: "Be thorough, covering every main point.",
+};
+
+// Longest section (in chars) sent to the model in one summary request
+const SUMMARY_SECTION_CHARS = 8000;
+
+// Merge consecutive { text, label } parts into sections of at most
+// SUMMARY_SECTION_CHARS, labelling each with the page range it covers
+function groupIntoSections(parts, separator = "\n") {
+  const sections = [];
+  let current = null;
+
+  for (const part of parts) {
+    if (current && current.text.length + part.text.length > SUMMARY_SECTION_CHARS) {
+      sections.push(current);
+      current = null;
+    }
+    if (!current) {
+      current = { text: part.text, labels: [part.label] };
+    } else {
+      current.text += separator + part.text;
+      current.labels.push(part.label);
+    }
+  }
+  if (current) sections.push(current);
+
+  return sections.map(section => ({
+    text: section.text,
+    label: mergeSectionLabels(section.labels),
+  }));
+}
+
+// "Section, p. 2" + "Section, pp. 3-4" -> "Section, pp. 2-4"
+function mergeSectionLabels(labels) {
+  const pages = labels
+    .flatMap(label => (label.match(/\d+/g) || []).map(Number));
+  if (pages.length === 0) {
+    return labels[0];
+  }
+  const first = Math.min(...pages);
+  const last = Math.max(...pages);
+  // CSV sections are labelled with rows instead of pages
+  if (labels[0].includes("row")) {
+    return first === last ? `Section, row ${first}` : `Section, rows ${first}-${last}`;
+  }
+  return first === last ? `Section, p. ${first}` : `Section, pp. ${first}-${last}`;
+}
+
+// Human-readable label of where a chunk came from, e.g. "report.pdf, pp. 3-4"
+function describeSource(metadata) {
+  const parts = [metadata.source || "Text batch"];
+  if (metadata.pageStart) {
+    parts.push(metadata.pageStart === metadata.pageEnd
+      ? `p. ${metadata.pageStart}`
+      : `pp. ${metadata.pageStart}-${metadata.pageEnd}`);
+  }
+  if (metadata.rowStart) {
+    parts.push(metadata.rowStart === metadata.rowEnd
+      ? `row ${metadata.rowStart}`
+      : `rows ${metadata.rowStart}-${metadata.rowEnd}`);
+  }
+  if (metadata.heading) {
+    parts.push(`"${metadata.heading}"`);
+  }
+  return parts.join(", ");
+}
+
+// Citation fields of a retrieved chunk, numbered as in the prompt
+function toCitation(doc, fragment) {
+  return {
+    fragment,
+    documentId: doc.metadata.documentId,
+    document: doc.metadata.source || null,
+    page: doc.metadata.pageStart || null,
+    pageEnd: doc.metadata.pageEnd || null,
+    row: doc.metadata.rowStart || null,
+    rowEnd: doc.metadata.rowEnd || null,
+    heading: doc.metadata.heading || null,
+    ocrConfidence: doc.metadata.ocrConfidence ?? null,
+    snippet: doc.pageContent.substring(0, 300),
+  };
+}
+
+// Structured extraction (see RAGSystem.extractStructured): model answers
+// checked against the schema, and fragments given to the model at most
+const EXTRACTION_MAX_ATTEMPTS = 3;
+const EXTRACTION_MAX_FRAGMENTS = 24;
+
+// Retrieval modes accepted by /api/rag/query (see RAGSystem.search)
+const RETRIEVAL_MODES = ["vector", "keyword", "hybrid"];
+const MAX_RETRIEVAL_K = 20;
+// Answer when no fragment reaches the minimum relevance
+const NOT_FOUND_ANSWER = "I could not find this in your documents.";
+
+// Errors of the request itself (nothing indexed yet, unknown document), as
+// opposed to provider failures: answered with their own status and code
+function requestError(message, status, code) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+// Map LLM and embedding failures (classified by lib/errors.js) to an HTTP
+// status, a user-facing message, an error code and the seconds after which
+// a retry may succeed. Request errors keep their status and code; anything
+// else is a bug (500 internal_error), not the provider's fault.
+function mapLLMError(error, duration) {
+  if (!(error instanceof ProviderError)) {
+    return error.status
+      ? { statusCode: error.status, errorMessage: error.message, code: error.code || "invalid_request", retryAfter: null }
+      : { statusCode: 500, errorMessage: error.message, code: "internal_error", retryAfter: null };
+  }
+
+  const classified = error;
+  let errorMessage = classified.message;
+  let retryAfter = classified.retryAfter;
+
+  switch (classified.code) {
+    case "provider_timeout":
+      errorMessage = `Request timed out${duration ? ` (${duration}s)` : ''}. Causes:\n1. Gemini API slow\n2. Network issues\n3. Quota full\n\nSuggestion: Wait 1-2 mins and retry`;
+      break;
+    case "provider_auth":
+      errorMessage = 'API Key invalid or missing';
+      break;
+    case "rate_limited":
+      // Quotas are per minute
+      retryAfter ||= 60;
+      errorMessage = `API Quota Exceeded or rate limited. Please retry in ${retryAfter}s.`;
+      break;
+    case "provider_unavailable":
+      errorMessage = 'Model provider unavailable (network or server error), please retry later';
+      break;
+  }
+
+  return { statusCode: classified.status, errorMessage, code: classified.code, retryAfter };
+}
+
+// Token counts of an LLM reply as reported by the provider, estimated from
+// the text when it reports none
+function tokenUsage(message, promptTokens, content = message?.content) {
+  const usage = message?.usage_metadata;
+  if (usage) {
+    return { promptTokens: usage.input_tokens, completionTokens: usage.output_tokens };
+  }
+  const reported = message?.response_metadata?.tokenUsage;
+  if (reported) {
+    return { promptTokens: reported.promptTokens, completionTokens: reported.completionTokens };
+  }
+  return { promptTokens, completionTokens: estimateTokens(typeof content === "string" ? content : ""), tokensEstimated: true };
+}
+
+// The chunks of an LLM stream whose first result was already read
+async function* continueStream(first, iterator) {
+  for (let next = first; !next.done; next = await iterator.next()) {
+    yield next.value;
+  }
+}
+
+// Send a mapped provider error, with a Retry-After header when known
+function sendLLMError(res, { statusCode, errorMessage, code, retryAfter }) {
+  errorsByCode.inc({ code });
+  if (retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+  }
+  res.status(statusCode).json({ error: errorMessage, code, ...(retryAfter ? { retryAfter } : {}) });
+}
+
+// Server-Sent Events over a POST response. The returned signal aborts when
+// the client disconnects (e.g. the user cancels the generation).
+function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  return {
+    signal: controller.signal,
+    send(event, data) {
+      if (!res.writableEnded) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    },
+    end() {
+      if (!res.writableEnded) res.end();
+    },
+  };
+}
+
+// Stream tokens produced by `run` as `token` events (and progress updates as
+// `progress` events), then its result as a `done` event, or an `error` event
+// if it fails
+async function streamResponse(res, label, run) {
+  const startTime = Date.now();
+  const stream = openEventStream(res);
+
+  try {
+    const result = await run({
+      signal: stream.signal,
+      onToken: (text) => stream.send('token', { text }),
+      onProgress: (progress) => stream.send('progress', progress),
+    });
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    logger.info("Stream completed", { stream: label, durationMs: Date.now() - startTime });
+    stream.send('done', { ...result, duration: Number(duration) });
+  } catch (error) {
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    if (stream.signal.aborted) {
+      logger.info("Stream cancelled by client", { stream: label, durationMs: Date.now() - startTime });
+    } else {
+      logger.error("Stream failed", { stream: label, durationMs: Date.now() - startTime, error });
+      const { statusCode, errorMessage, code, retryAfter } = mapLLMError(error, duration);
+      errorsByCode.inc({ code });
+      stream.send('error', { error: errorMessage, status: statusCode, code, ...(retryAfter ? { retryAfter } : {}) });
+    }
+  } finally {
+    stream.end();
   }
-  return pdfParse;
 }
 
 const app = express();
 
-// CORS configuration for remote environments
+// Every request gets an id (the caller's X-Request-Id if it sends a sane
+// one), echoed in the response and added to every log entry written while
+// handling it. Requests are logged and counted when they finish; routes are
+// labelled by their pattern so ids in paths do not create new series.
+app.use((req, res, next) => {
+  const requestId = /^[\w.-]{1,128}$/.test(req.get("X-Request-Id") || "") ? req.get("X-Request-Id") : randomUUID();
+  req.id = requestId;
+  req.logContext = { requestId };
+  res.set("X-Request-Id", requestId);
+
+  const startTime = process.hrtime.bigint();
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - startTime) / 1e9;
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : res.statusCode < 400 ? "static" : "unmatched";
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+    if (route !== "static") {
+      requestContext.run(req.logContext, () => logger.info("Request completed", {
+        method: req.method,
+        path: req.path,
+        route,
+        status: res.statusCode,
+        durationMs: Math.round(seconds * 10000) / 10,
+        workspace: req.workspace,
+      }));
+    }
+  });
+  requestContext.run(req.logContext, next);
+});
+
+// Multer's callbacks lose the request context; routes with uploads restore it
+function restoreRequestContext(req, res, next) {
+  requestContext.run(req.logContext, next);
+}
+
+// CORS allowlist (CORS_ORIGINS): comma-separated origins that may call the
+// API from another site, with cookies, or "*" for any origin without
+// cookies. Unset, only the UI served by this server can call it.
+const corsOrigins = (process.env.CORS_ORIGINS || "").split(",").map(origin => origin.trim()).filter(Boolean);
 app.use(cors({
-  origin: '*', // Allow all origins (dev)
-  methods: ['GET', 'POST', 'DELETE'],
-  credentials: true
+  origin: corsOrigins.includes("*") ? "*" : corsOrigins,
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  exposedHeaders: ['X-Session-Id', 'X-Request-Id', 'Retry-After'],
+  credentials: !corsOrigins.includes("*"),
 }));
 
-app.use(express.json());
+app.use(express.json({ limit: "5mb" }));
 app.use(express.static("public"));
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Server Error:', err);
-  res.status(500).json({ 
-    error: err.message || 'Internal Server Error',
-    details: process.env.NODE_ENV === 'development' ? err.stack : undefined
-  });
+// Authentication (see lib/auth.js). Every request is made on behalf of a
+// workspace, which owns the documents, jobs and conversations it creates;
+// with authentication off that is the default workspace.
+const AUTH_COOKIE = "authToken";
+const authStore = new AuthStore({
+  ...authSettings(),
+  file: path.join(process.env.DATA_DIR || "data", "api-keys.json"),
+});
+await authStore.load();
+authStore.startSweeper();
+if (authStore.enabled) {
+  logger.info("Authentication on", { users: authStore.users.size, apiKeys: authStore.configuredKeys.size + authStore.apiKeys.size });
+}
+
+// Routes that work without credentials
+const PUBLIC_ROUTES = new Set(["/health", "/auth/login", "/auth/logout", "/auth/me"]);
+
+// Credentials: an API key (X-API-Key or Authorization: Bearer) or the
+// login cookie of the web UI
+function readCredential(req) {
+  const bearer = req.get("Authorization")?.match(/^Bearer\s+(.+)$/i)?.[1];
+  return req.get("X-API-Key") || bearer || readCookie(req, AUTH_COOKIE);
+}
+
+app.use("/api", (req, res, next) => {
+  const principal = authStore.enabled
+    ? authStore.authenticate(readCredential(req))
+    : { type: "anonymous", name: null, workspace: DEFAULT_WORKSPACE };
+
+  if (!principal && !PUBLIC_ROUTES.has(req.path)) {
+    res.set("WWW-Authenticate", 'Bearer realm="api"');
+    errorsByCode.inc({ code: "unauthorized" });
+    return res.status(401).json({ error: "Authentication required", code: "unauthorized" });
+  }
+  req.principal = principal;
+  req.workspace = principal?.workspace;
+  next();
 });
 
 // File upload configuration
@@ -72,481 +441,1865 @@ const storage = multer.diskStorage({
 const upload = multer({
   storage: storage,
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === "application/pdf") {
+    if (findLoader(file.originalname, file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error("Only PDF files are supported"));
+      const error = new Error(`Unsupported file type. Supported formats: ${LOADERS.map(loader => loader.label).join(", ")}`);
+      error.status = 400;
+      cb(error);
     }
   },
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
 });
 
-// RAG System Class
-class RAGSystem {
-  constructor() {
-    this.llm = new ChatGoogleGenerativeAI({
-      modelName: "gemini-2.5-flash",
-      temperature: 0.7,
-      apiKey: process.env.GOOGLE_API_KEY,
-    });
+// PDF info as exposed by /api/pdf-info, derived from a document record
+function toPdfInfo(record) {
+  return {
+    documentId: record.id,
+    filename: record.source,
+    pages: record.pages,
+    textLength: record.textLength,
+    uploadedAt: record.uploadedAt,
+  };
+}
 
-    this.embeddings = new GoogleGenerativeAIEmbeddings({
-      modelName: "embedding-001",
-      apiKey: process.env.GOOGLE_API_KEY,
-    });
+// Document info returned for an upload, derived from a document record
+function toUploadInfo(record) {
+  return {
+    ...toPdfInfo(record),
+    type: record.type,
+    sections: record.sections,
+    chunks: record.chunks,
+    chunking: record.chunking,
+    tags: record.tags,
+    ocrPages: record.ocrPages,
+    embeddingCache: record.embeddingCache,
+  };
+}
 
-    this.memory = new BufferMemory({
-      returnMessages: true,
-      memoryKey: "history",
-    });
+// Run async functions one at a time, in call order: `lock(fn)` starts `fn`
+// once every function passed before it has settled
+function createLock() {
+  let queue = Promise.resolve();
+  return (fn) => {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+}
+
+// RAG System Class
+class RAGSystem {
+  constructor({ dataDir = process.env.DATA_DIR || "data", providers = createProviders() } = {}) {
+    // LLM and embeddings come from the configured provider (see lib/providers.js)
+    this.llm = providers.llm;
+    this.embeddings = providers.embeddings;
+    // Rate limits and retries of every LLM and embedding call (lib/scheduler.js)
+    this.llmScheduler = providers.llmScheduler;
+    this.embeddingScheduler = providers.embeddingScheduler;
+    this.llmName = providers.llmName;
+    this.embeddingName = providers.embeddingName;
 
     this.vectorStore = null;
+    // BM25 index over the same chunks, for keyword and hybrid retrieval
+    this.keywordIndex = new BM25Index();
     this.isInitialized = false;
     this.currentPdfInfo = null;
+    // Registry of everything indexed in the vector store, keyed by document id
+    this.documents = new Map();
+    // Changes to the index (ingest, delete, rebuild) run one at a time, in
+    // order: each builds on the index the previous one left. Saves too, so
+    // an older state never overwrites a newer one.
+    this.indexLock = createLock();
+    this.saveLock = createLock();
+
+    // Where the index and the registry are persisted between restarts
+    this.dataDir = dataDir;
+    this.indexDir = path.join(dataDir, "index");
+    this.registryFile = path.join(dataDir, "documents.json");
+    this.embeddingCache = new EmbeddingCache({
+      file: path.join(dataDir, "embedding-cache.bin"),
+      model: this.embeddingName,
+      maxEntries: Number(process.env.EMBEDDING_CACHE_SIZE) || 20000,
+    });
+    // Named, versioned prompt templates (see lib/prompts.js)
+    this.prompts = new PromptStore({
+      dir: process.env.PROMPTS_DIR || path.join(dataDir, "prompts"),
+      defaultLanguage: process.env.RESPONSE_LANGUAGE || "English",
+    });
+    // Second retrieval stage (see lib/rerank.js)
+    this.rerankSettings = rerankSettings();
+    this.reranker = createReranker(this.rerankSettings.reranker, {
+      generate: (prompt, options) => this.generate(prompt, options),
+      prompts: this.prompts,
+    });
+    // What of a conversation goes into chat prompts (see lib/memory.js)
+    this.memory = new ConversationMemory({
+      ...memorySettings(),
+      summarize: (prompt, options) => this.generate(prompt, options),
+      prompts: this.prompts,
+    });
+  }
+
+  // Split each text separately with the given chunking options (see lib/chunking.js)
+  async splitText(texts, chunking = DEFAULT_CHUNKING) {
+    const splitDocs = [];
+    for (const text of texts) {
+      for (const chunk of await chunkSections([{ text, metadata: {} }], chunking)) {
+        splitDocs.push(new Document({ pageContent: chunk, metadata: {} }));
+      }
+    }
+    return splitDocs;
   }
 
-  async ingestDocuments(documents, metadata = {}) {
-    const textSplitter = new RecursiveCharacterTextSplitter({
-      chunkSize: 1000,
-      chunkOverlap: 200,
+  async ingestDocuments(documents, metadata = {}, details = {}, chunking = DEFAULT_CHUNKING) {
+    const splitDocs = await this.splitText(documents, chunking);
+    return this.ingestChunks(splitDocs, metadata, {
+      textLength: documents.reduce((sum, text) => sum + text.length, 0),
+      chunking,
+      ...details,
     });
+  }
 
-    const splitDocs = await textSplitter.createDocuments(documents);
+  async ingestChunks(splitDocs, metadata = {}, details = {}, { onProgress } = {}) {
+    const documentId = randomUUID();
     
     // Add metadata
     splitDocs.forEach(doc => {
-      doc.metadata = { ...doc.metadata, ...metadata };
+      doc.metadata = { ...doc.metadata, ...metadata, documentId };
     });
 
-    this.vectorStore = await HNSWLib.fromDocuments(splitDocs, this.embeddings);
+    // Embed everything before touching the index, so a failure leaves it as it was
+    const { vectors, cacheHits } = await this.embedChunks(splitDocs, onProgress);
+
+    return this.indexLock(() => this.addToIndex(documentId, splitDocs, vectors, { metadata, details, cacheHits, onProgress }));
+  }
+
+  // Append embedded chunks to the existing index instead of replacing it,
+  // and register their document
+  async addToIndex(documentId, splitDocs, vectors, { metadata, details, cacheHits, onProgress }) {
+    onProgress?.({ stage: "indexing", completed: 0, total: 1 });
+    const vectorStore = this.vectorStore || new HNSWLib(this.embeddings, { space: "cosine" });
+    await vectorStore.addVectors(vectors, splitDocs);
+    this.vectorStore = vectorStore;
     this.isInitialized = true;
+    for (const [label, doc] of vectorStore.docstore._docs) {
+      if (doc.metadata.documentId === documentId) {
+        this.keywordIndex.add(label, doc.pageContent);
+      }
+    }
+
+    const record = {
+      id: documentId,
+      source: metadata.source || null,
+      type: metadata.type || "text",
+      chunks: splitDocs.length,
+      uploadedAt: new Date().toISOString(),
+      embeddingCache: { hits: cacheHits, misses: splitDocs.length - cacheHits },
+      ...details,
+    };
+    this.documents.set(documentId, record);
+    if (record.type === "pdf") {
+      this.currentPdfInfo = toPdfInfo(record);
+    }
+
+    await this.save();
+    onProgress?.({ stage: "indexing", completed: 1, total: 1 });
+    return record;
+  }
+
+  // Embed chunks in batches of EMBEDDING_BATCH_SIZE, reporting each batch.
+  // Chunks already in the embedding cache are not sent to the model.
+  async embedChunks(splitDocs, onProgress) {
+    const batchSize = Number(process.env.EMBEDDING_BATCH_SIZE) || 50;
+    const total = Math.ceil(splitDocs.length / batchSize);
+    const vectors = [];
+    let cacheHits = 0;
+
+    for (let batch = 0; batch < total; batch++) {
+      onProgress?.({ stage: "embedding", completed: batch, total });
+      const texts = splitDocs
+        .slice(batch * batchSize, (batch + 1) * batchSize)
+        .map(doc => doc.pageContent);
+      const result = await this.embeddingCache.embed({
+        embedDocuments: (missing) => this.embeddingScheduler.run(() => this.embeddings.embedDocuments(missing), {
+          tokens: missing.reduce((sum, text) => sum + estimateTokens(text), 0),
+        }),
+      }, texts);
+      vectors.push(...result.vectors);
+      cacheHits += result.hits;
+    }
+    onProgress?.({ stage: "embedding", completed: total, total });
+    if (cacheHits > 0) {
+      logger.debug("Embeddings reused from the cache", { hits: cacheHits, chunks: splitDocs.length });
+    }
+
+    return { vectors, cacheHits };
+  }
+
+  // Documents of a workspace, in upload order
+  listDocuments(workspace) {
+    const documents = Array.from(this.documents.values());
+    return workspace
+      ? documents.filter(record => (record.workspace || DEFAULT_WORKSPACE) === workspace)
+      : documents;
+  }
+
+  // The document a workspace previously ingested from a file with this
+  // content hash
+  findDocumentByHash(fileHash, workspace) {
+    return this.listDocuments(workspace).find(record => record.fileHash === fileHash) || null;
+  }
+
+  // Ids of the documents matching every given filter (see readFilters).
+  // Documents indexed before workspaces existed belong to the default one.
+  findDocuments({ workspace, documentIds, filename, types, uploadedAfter, uploadedBefore, tags } = {}) {
+    const ids = new Set();
+    for (const record of this.documents.values()) {
+      const uploadedAt = new Date(record.uploadedAt);
+      if (workspace && (record.workspace || DEFAULT_WORKSPACE) !== workspace) continue;
+      if (documentIds && !documentIds.includes(record.id)) continue;
+      if (filename && (record.source || "").toLowerCase() !== filename.toLowerCase()) continue;
+      if (types && !types.includes(record.type)) continue;
+      if (uploadedAfter && uploadedAt < uploadedAfter) continue;
+      if (uploadedBefore && uploadedAt > uploadedBefore) continue;
+      if (tags && !tags.every(tag => (record.tags || []).includes(tag))) continue;
+      ids.add(record.id);
+    }
+    return ids;
+  }
+
+  deleteDocument(documentId) {
+    return this.indexLock(() => this.removeFromIndex(documentId));
+  }
+
+  async removeFromIndex(documentId) {
+    const record = this.documents.get(documentId);
+    if (!record) {
+      return null;
+    }
+
+    // Rebuild the index from the stored vectors of the remaining chunks,
+    // so nothing has to be re-embedded
+    const vectors = [];
+    const docs = [];
+    for (const [label, doc] of this.vectorStore.docstore._docs.entries()) {
+      if (doc.metadata.documentId === documentId) continue;
+      vectors.push(this.vectorStore.index.getPoint(Number(label)));
+      docs.push(doc);
+    }
+
+    if (docs.length > 0) {
+      const vectorStore = new HNSWLib(this.embeddings, { space: "cosine" });
+      await vectorStore.addVectors(vectors, docs);
+      this.vectorStore = vectorStore;
+    } else {
+      this.vectorStore = null;
+      this.isInitialized = false;
+    }
+
+    this.documents.delete(documentId);
+    // Labels change when the index is rebuilt
+    this.rebuildKeywordIndex();
+
+    if (this.currentPdfInfo?.documentId === documentId) {
+      const lastPdf = this.listDocuments().filter(doc => doc.type === "pdf").pop();
+      this.currentPdfInfo = lastPdf ? toPdfInfo(lastPdf) : null;
+    }
+
+    await this.save();
+    return record;
+  }
+
+  // Write the vector index and the document registry to the data directory
+  save() {
+    return this.saveLock(() => this.writeToDisk());
+  }
+
+  async writeToDisk() {
+    await fs.promises.mkdir(this.dataDir, { recursive: true });
+    await this.embeddingCache.save();
+
+    if (this.vectorStore) {
+      await this.vectorStore.save(this.indexDir);
+    } else {
+      await fs.promises.rm(this.indexDir, { recursive: true, force: true });
+    }
+
+    const registry = {
+      embeddings: this.embeddingName,
+      documents: this.listDocuments(),
+      currentPdfInfo: this.currentPdfInfo,
+    };
+    await writeFileAtomic(this.registryFile, JSON.stringify(registry, null, 2));
   }
 
-  async ingestPDF(pdfBuffer, filename) {
+  // Restore the index and registry saved by a previous run
+  async load() {
+    await this.embeddingCache.load();
+    await this.prompts.load();
+    if (!fs.existsSync(this.registryFile)) {
+      return;
+    }
+
+    const registry = JSON.parse(await fs.promises.readFile(this.registryFile, "utf8"));
+    this.documents = new Map(registry.documents.map(doc => [doc.id, doc]));
+    this.currentPdfInfo = registry.currentPdfInfo || null;
+
+    if (this.documents.size === 0) {
+      return;
+    }
+
     try {
-      console.log('📄 Starting PDF parsing...');
-      
-      // Load parser dynamically
-      const parser = await loadPdfParser();
-      if (!parser) {
-        throw new Error('PDF Parser library not installed');
+      // Vectors from another embedding model are not comparable with ours
+      if (registry.embeddings && registry.embeddings !== this.embeddingName) {
+        throw new Error(`index was built with ${registry.embeddings}, now using ${this.embeddingName}`);
       }
-      
-      // Parse PDF
-      const data = await parser(pdfBuffer);
-      const text = data.text;
-      
-      if (!text || text.trim().length === 0) {
-        throw new Error("No extractable text found in PDF (might be scanned/image-based)");
+      const vectorStore = await HNSWLib.load(this.indexDir, this.embeddings);
+      this.checkIndexConsistency(vectorStore);
+      this.vectorStore = vectorStore;
+    } catch (error) {
+      logger.warn("Vector index unusable, rebuilding from stored chunks", { error });
+      await this.rebuildIndex();
+    }
+
+    this.isInitialized = this.vectorStore !== null;
+    this.rebuildKeywordIndex();
+    logger.info("Loaded documents", { documents: this.documents.size, dataDir: this.dataDir });
+  }
+
+  rebuildKeywordIndex() {
+    this.keywordIndex.clear();
+    if (!this.vectorStore) return;
+    for (const [label, doc] of this.vectorStore.docstore._docs) {
+      this.keywordIndex.add(label, doc.pageContent);
+    }
+  }
+
+  // Throws if the index, its docstore and the registry disagree
+  checkIndexConsistency(vectorStore) {
+    const docs = vectorStore.docstore._docs;
+    if (vectorStore.index.getCurrentCount() !== docs.size) {
+      throw new Error(`index has ${vectorStore.index.getCurrentCount()} vectors but ${docs.size} chunks`);
+    }
+
+    const chunkCounts = new Map();
+    for (const doc of docs.values()) {
+      const id = doc.metadata.documentId;
+      chunkCounts.set(id, (chunkCounts.get(id) || 0) + 1);
+    }
+    for (const record of this.documents.values()) {
+      if (chunkCounts.get(record.id) !== record.chunks) {
+        throw new Error(`document ${record.id} expected ${record.chunks} chunks, found ${chunkCounts.get(record.id) || 0}`);
       }
+    }
+  }
 
-      console.log(`📖 PDF has ${data.numpages} pages`);
-      console.log(`📝 Extracted text length: ${text.length} chars`);
+  // Re-embed the chunks kept in docstore.json into a fresh index
+  rebuildIndex() {
+    return this.indexLock(() => this.reindexStoredChunks());
+  }
 
-      // Store PDF Info
-      this.currentPdfInfo = {
-        filename: filename,
-        pages: data.numpages,
-        textLength: text.length,
-        uploadedAt: new Date().toISOString(),
-      };
+  async reindexStoredChunks() {
+    let entries = [];
+    try {
+      entries = JSON.parse(await fs.promises.readFile(path.join(this.indexDir, "docstore.json"), "utf8"));
+    } catch (error) {
+      logger.warn("Stored chunks unreadable", { error });
+    }
 
-      // Split and Index
-      await this.ingestDocuments([text], {
+    const chunks = entries
+      .map(([, doc]) => doc)
+      .filter(doc => this.documents.has(doc.metadata?.documentId));
+
+    // Documents whose chunks are gone cannot be recovered
+    const recovered = new Set(chunks.map(doc => doc.metadata.documentId));
+    for (const id of this.documents.keys()) {
+      if (!recovered.has(id)) {
+        logger.warn("Dropping document without stored chunks", { documentId: id });
+        this.documents.delete(id);
+      }
+    }
+    if (this.currentPdfInfo && !this.documents.has(this.currentPdfInfo.documentId)) {
+      this.currentPdfInfo = null;
+    }
+
+    if (chunks.length > 0) {
+      const docs = chunks.map(doc => new Document(doc));
+      const { vectors } = await this.embedChunks(docs);
+      this.vectorStore = new HNSWLib(this.embeddings, { space: "cosine" });
+      await this.vectorStore.addVectors(vectors, docs);
+    } else {
+      this.vectorStore = null;
+    }
+
+    await this.save();
+    logger.info("Rebuilt index", { chunks: chunks.length });
+  }
+
+  // Parse a file with the loader for its format and chunk it. Chunks keep
+  // the structural metadata (page, heading, row) of the sections they come
+  // from. Nothing is embedded, so this also serves chunking previews.
+  async parseFile(buffer, filename, mimetype, { onProgress, chunking = DEFAULT_CHUNKING } = {}) {
+    const loader = findLoader(filename, mimetype);
+    if (!loader) {
+      throw requestError(`Unsupported file type: ${filename}`, 400, "unsupported_file");
+    }
+
+    onProgress?.({ stage: "parsing", completed: 0, total: 1 });
+    let loaded;
+    try {
+      loaded = await loader.load(buffer, filename);
+    } catch (error) {
+      // A file the loader cannot read (corrupt, not what its type says) is
+      // the client's to fix; provider failures (OCR) stay what they are
+      throw error instanceof ProviderError ? error : requestError(error.message, 422, "unreadable_file");
+    }
+    const { sections, details } = loaded;
+
+    const text = sections.map(section => section.text).join("\n\n");
+    if (text.trim().length === 0) {
+      throw requestError(`No extractable text found in ${loader.label} file`, 422, "unreadable_file");
+    }
+    logger.info("Parsed document", { loader: loader.name, filename, textLength: text.length, sections: sections.length });
+
+    onProgress?.({ stage: "chunking", completed: 0, total: 1 });
+    const splitDocs = (await chunkSections(sections, chunking))
+      .map(chunk => new Document({ pageContent: chunk, metadata: {} }));
+    assignSectionMetadata(splitDocs, text, sections);
+    logger.debug("Chunked document", { chunks: splitDocs.length, ...chunking });
+
+    return { loader, sections, details, text, splitDocs };
+  }
+
+  // Parse, chunk and index an uploaded file. A file whose content was
+  // already ingested is not indexed again: the existing document is returned.
+  async ingestFile(buffer, filename, mimetype, { onProgress, tags = [], chunking = DEFAULT_CHUNKING, workspace = DEFAULT_WORKSPACE } = {}) {
+    const loader = findLoader(filename, mimetype);
+    if (!loader) {
+      throw new Error(`Unsupported file type: ${filename}`);
+    }
+
+    const fileHash = hashContent(buffer);
+    const existing = this.findDocumentByHash(fileHash, workspace);
+    if (existing) {
+      logger.info("File already indexed", { filename, documentId: existing.id });
+      return { success: true, duplicate: true, info: toUploadInfo(existing), preview: null };
+    }
+
+    try {
+      const { sections, details, text, splitDocs } = await this.parseFile(buffer, filename, mimetype, { onProgress, chunking });
+
+      const record = await this.ingestChunks(splitDocs, {
         source: filename,
-        type: "pdf",
-      });
+        type: loader.name,
+      }, {
+        ...details,
+        sections: sections.length,
+        textLength: text.length,
+        tags,
+        chunking,
+        fileHash,
+        workspace,
+      }, { onProgress });
 
-      console.log('✅ PDF processing complete');
+      logger.info("Indexed document", { documentId: record.id, loader: loader.name, chunks: record.chunks });
 
       return {
         success: true,
-        info: this.currentPdfInfo,
+        duplicate: false,
+        info: toUploadInfo(record),
         preview: text.substring(0, 500) + "...",
       };
     } catch (error) {
-      console.error('❌ PDF Processing Error:', error);
-      throw new Error(`PDF Processing failed: ${error.message}`);
+      logger.error("Document processing failed", { loader: loader.name, filename, error });
+      throw new Error(`${loader.label} Processing failed: ${error.message}`);
+    }
+  }
+
+  // Run a prompt through the LLM. With `onToken` the response is streamed and
+  // each token is passed to the callback as it arrives; the full text is
+  // returned either way. Calls go through the LLM scheduler; a stream is
+  // only retried until its first token, since tokens already sent to the
+  // client cannot be taken back.
+  // Each call is logged as an "llm" span and counted in the LLM metrics.
+  async generate(prompt, { onToken, signal } = {}) {
+    const tokens = estimateTokens(prompt);
+    const span = logger.span("llm", { model: this.llmName, streamed: Boolean(onToken), promptChars: prompt.length });
+    try {
+      const { content, usage } = onToken
+        ? await this.streamLLM(prompt, { onToken, signal, tokens })
+        : await this.invokeLLM(prompt, { signal, tokens });
+      const seconds = span.end({ outcome: "ok", ...usage }) / 1000;
+      llmRequests.inc({ outcome: "ok" });
+      llmDuration.observe({}, seconds);
+      llmTokens.inc({ type: "prompt" }, usage.promptTokens);
+      llmTokens.inc({ type: "completion" }, usage.completionTokens);
+      return content;
+    } catch (error) {
+      const outcome = signal?.aborted ? "cancelled" : error instanceof ProviderError ? error.code : "internal_error";
+      llmRequests.inc({ outcome });
+      llmDuration.observe({}, span.end({ outcome, promptTokens: tokens, tokensEstimated: true }) / 1000);
+      throw error;
     }
   }
 
-  async queryWithRAG(query) {
+  async invokeLLM(prompt, { signal, tokens }) {
+    const response = await this.llmScheduler.run(() => this.llm.invoke(prompt, { signal }), { tokens, signal });
+    return { content: response.content, usage: tokenUsage(response, tokens) };
+  }
+
+  async streamLLM(prompt, { onToken, signal, tokens }) {
+    let content = '';
+    let usage = null;
+    const { stream, first } = await this.llmScheduler.run(async () => {
+      const stream = (await this.llm.stream(prompt, { signal }))[Symbol.asyncIterator]();
+      return { stream, first: await stream.next() };
+    }, { tokens, signal });
+    try {
+      for await (const chunk of continueStream(first, stream)) {
+        if (signal?.aborted) {
+          throw new Error('Generation cancelled');
+        }
+        if (chunk.content) {
+          content += chunk.content;
+          onToken(chunk.content);
+        }
+        // Providers that report usage put it on the last chunk
+        if (chunk.usage_metadata) {
+          usage = chunk;
+        }
+      }
+    } catch (error) {
+      // The rest of the stream is read outside the scheduler
+      throw signal?.aborted ? error : classifyProviderError(error);
+    }
+    return { content, usage: tokenUsage(usage, tokens, content) };
+  }
+
+  // Nearest chunks by embedding: [{ label, score }] with cosine similarity
+  // Optional `labels` (a Set) restricts the search to those chunks.
+  async vectorSearch(query, k, labels) {
+    const index = this.vectorStore.index;
+    const count = Math.min(k, labels ? labels.size : index.getCurrentCount());
+    if (count === 0) {
+      return [];
+    }
+    const filter = labels ? (label) => labels.has(String(label)) : undefined;
+    const vector = await this.embeddingScheduler.run(() => this.embeddings.embedQuery(query), { tokens: estimateTokens(query) });
+    const { neighbors, distances } = index.searchKnn(vector, count, filter);
+    return neighbors.map((label, i) => ({ label: String(label), score: 1 - distances[i] }));
+  }
+
+  // Rank chunks for a query. `mode` is "vector" (embedding similarity),
+  // "keyword" (BM25) or "hybrid" (both, fused with reciprocal rank fusion
+  // over a larger candidate pool). `documentIds` (a Set) limits the search
+  // to the chunks of those documents. Returns [{ doc, score, scores }] where
+  // `scores` holds the vector similarity and BM25 score of each chunk.
+  async search(query, { k = 3, mode = "hybrid", documentIds = null } = {}) {
+    let labels = null;
+    if (documentIds) {
+      labels = new Set();
+      for (const [label, doc] of this.vectorStore.docstore._docs) {
+        if (documentIds.has(doc.metadata.documentId)) labels.add(label);
+      }
+    }
+
+    const candidates = mode === "hybrid" ? Math.max(k * 4, 20) : k;
+    const vector = mode === "keyword" ? [] : await this.vectorSearch(query, candidates, labels);
+    const keyword = mode === "vector"
+      ? []
+      : this.keywordIndex.search(query, candidates, labels ? (label) => labels.has(label) : undefined);
+
+    const ranked = mode === "hybrid" ? reciprocalRankFusion([vector, keyword]) : [...vector, ...keyword];
+    const vectorScores = new Map(vector.map(({ label, score }) => [label, score]));
+    const keywordScores = new Map(keyword.map(({ label, score }) => [label, score]));
+
+    return ranked.slice(0, k).map(({ label, score }) => ({
+      doc: this.vectorStore.docstore._docs.get(label),
+      score,
+      scores: {
+        vector: vectorScores.get(label) ?? null,
+        keyword: keywordScores.get(label) ?? null,
+      },
+    }));
+  }
+
+  // Search a larger candidate set, rerank it, drop the candidates below the
+  // minimum relevance and pick `k` diverse fragments among the rest (see
+  // lib/rerank.js). Returns [{ doc, score, scores, relevance }] and the
+  // number of candidates considered.
+  async rerankedSearch(query, { k, mode, documentIds, minRelevance, signal }) {
+    const { candidates: candidateCount, mmrLambda } = this.rerankSettings;
+    const candidates = await this.search(query, { k: Math.max(k, candidateCount), mode, documentIds });
+    if (candidates.length === 0) {
+      return { results: [], candidates: 0 };
+    }
+
+    const relevance = await this.reranker.score(query, candidates.map(({ doc }) => doc.pageContent), {
+      scores: candidates.map(({ score }) => score),
+      similarities: candidates.map(({ scores }) => scores.vector),
+      signal,
+    });
+    const threshold = this.reranker.name === "none" ? 0 : minRelevance;
+    const relevant = candidates
+      .map((candidate, i) => ({ ...candidate, text: candidate.doc.pageContent, relevance: relevance[i] }))
+      .filter(candidate => candidate.relevance >= threshold)
+      .sort((a, b) => b.relevance - a.relevance);
+
+    const results = maximalMarginalRelevance(relevant, { k, lambda: mmrLambda });
+    logger.debug("Reranked candidates", { reranker: this.reranker.name, candidates: candidates.length, relevant: relevant.length, used: results.length });
+    return { results, candidates: candidates.length };
+  }
+
+  async retrieveContext(query, { k = 3, mode = "hybrid", documentIds = null, workspace = null, minRelevance = this.rerankSettings.minRelevance, signal } = {}) {
+    // Only ever search the chunks of the caller's workspace
+    const scope = workspace
+      ? this.findDocuments({ workspace, documentIds: documentIds && [...documentIds] })
+      : documentIds;
+    if (!this.vectorStore || (workspace && !documentIds && scope.size === 0)) {
+      throw requestError("Please upload a PDF or load documents first!", 409, "no_documents");
+    }
+
+    const span = logger.span("retrieval", { mode, k, reranker: this.reranker.name });
+    const { results, candidates } = await this.rerankedSearch(query, { k, mode, documentIds: scope, minRelevance, signal });
+    const context = results
+      .map(({ doc }, i) => `[Fragment ${i + 1}] (${describeSource(doc.metadata)})\n${doc.pageContent}`)
+      .join("\n\n");
+    retrievalDuration.observe({ mode }, span.end({ candidates, results: results.length, contextChars: context.length }) / 1000);
+
+    const round = (score) => (score === null ? null : Number(score.toFixed(4)));
+    const citations = results.map(({ doc, score, scores, relevance }, i) => ({
+      ...toCitation(doc, i + 1),
+      // Cosine similarity, BM25 score or fused RRF score, depending on the mode
+      score: round(score),
+      scores: { vector: round(scores.vector), keyword: round(scores.keyword) },
+      // Reranker score between 0 and 1
+      relevance: round(relevance),
+    }));
+
+    const retrieval = {
+      mode,
+      k,
+      reranker: this.reranker.name,
+      candidates,
+      minRelevance: this.reranker.name === "none" ? null : minRelevance,
+    };
+    if (documentIds) {
+      retrieval.documentIds = [...documentIds];
+    }
+    return { context, citations, retrieval };
+  }
+
+  async queryWithRAG(query, options = {}) {
+    const { context, citations, retrieval } = await this.retrieveContext(query, {
+      k: options.k,
+      mode: options.mode,
+      documentIds: options.documentIds,
+      workspace: options.workspace,
+      minRelevance: options.minRelevance,
+      signal: options.signal,
+    });
+
+    // Nothing relevant enough: say so instead of answering from unrelated
+    // fragments
+    if (citations.length === 0) {
+      options.onToken?.(NOT_FOUND_ANSWER);
+      return {
+        answer: NOT_FOUND_ANSWER,
+        notFound: true,
+        sources: 0,
+        citations,
+        retrieval,
+        pdfInfo: this.getCurrentPdfInfo(options.workspace),
+      };
+    }
+
+    const prompt = await this.prompts.render("rag-query", { context, question: query }, options);
+
+    const answer = await this.generate(prompt, options);
+    return {
+      answer,
+      sources: citations.length,
+      citations,
+      retrieval,
+      pdfInfo: this.getCurrentPdfInfo(options.workspace),
+      // The fragments as given to the model (for the evaluation harness)
+      ...(options.includeContext ? { context } : {}),
+    };
+  }
+
+  async summarizeText(text, options = {}) {
+    const summarizePrompt = await this.prompts.render("summarize-text", {
+      text,
+      length: SUMMARY_TEXT_LENGTHS[options.length || "short"],
+    }, options);
+
+    return this.generate(summarizePrompt, options);
+  }
+
+  // Chunks of one document in the order they were indexed
+  getDocumentChunks(documentId) {
     if (!this.vectorStore) {
-      throw new Error("Please upload a PDF or load documents first!");
+      return [];
     }
+    return Array.from(this.vectorStore.docstore._docs.values())
+      .filter(doc => doc.metadata.documentId === documentId);
+  }
 
-    const relevantDocs = await this.vectorStore.similaritySearch(query, 3);
-    const context = relevantDocs
-      .map((doc, i) => `[Fragment ${i + 1}]\n${doc.pageContent}`)
+  // Extract the fields of a JSON Schema from a document: the chunks most
+  // relevant to each field are retrieved, the model answers with JSON, and
+  // invalid answers are repaired up to `maxAttempts` times (see
+  // lib/extraction.js). `validate` is the schema's validator when the caller
+  // already compiled it; `prompt` and `language` select the "extract"
+  // template and answer language. Throws an error with status 422 if the
+  // model never produces valid data.
+  async extractStructured(documentId, schema, { validate, instructions, prompt: selection, language, k = 3, maxAttempts = EXTRACTION_MAX_ATTEMPTS, signal } = {}) {
+    const record = this.documents.get(documentId);
+    if (!record) {
+      throw requestError("Document not found", 404, "document_not_found");
+    }
+    validate ||= compileSchema(schema).validate;
+
+    // The best chunks for every field, each chunk included once
+    const documentIds = new Set([documentId]);
+    const chunks = new Set();
+    for (const query of fieldQueries(schema)) {
+      for (const { doc } of await this.search(query, { k, mode: "hybrid", documentIds })) {
+        chunks.add(doc);
+      }
+    }
+    const fragments = Array.from(chunks).slice(0, EXTRACTION_MAX_FRAGMENTS);
+    if (fragments.length === 0) {
+      throw requestError("Document has no indexed content", 409, "document_empty");
+    }
+    const context = fragments
+      .map((doc, i) => `[Fragment ${i + 1}] (${describeSource(doc.metadata)})\n${doc.pageContent}`)
       .join("\n\n");
+    logger.info("Extracting fields", { fields: Object.keys(schema.properties).length, fragments: fragments.length });
+
+    const prompt = await this.prompts.render("extract", {
+      schema: JSON.stringify(schema, null, 2),
+      context,
+      instructions: instructions ? `\n\nAdditional instructions: ${instructions}` : "",
+    }, { prompt: selection, language });
+    let nextPrompt = prompt;
+    let errors = [];
+    let reply = "";
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      reply = await this.generate(nextPrompt, { signal });
+      const result = checkReply(parseJsonReply(reply), { validate, fragmentCount: fragments.length });
+      if (result.errors.length === 0) {
+        const citations = fragments.map((doc, i) => toCitation(doc, i + 1));
+        const sources = Object.fromEntries(Object.entries(result.sources).map(([field, numbers]) => [
+          field,
+          numbers.map(number => citations[number - 1]),
+        ]));
+        return { documentId, document: record.source || null, data: result.data, sources, fragments: citations, attempts: attempt };
+      }
 
-    const prompt = `You are a professional document assistant. Answer the user's question based on the following context extracted from a PDF document.
-If the context does not contain relevant information, please explicitly state so.
+      errors = result.errors;
+      logger.warn("Extraction attempt invalid", { attempt, maxAttempts, errors });
+      nextPrompt = await this.prompts.render("extract-repair", {
+        prompt,
+        reply,
+        errors: errors.map(error => `- ${error}`).join("\n"),
+      }, { language });
+    }
 
-Document Context:
-${context}
+    throw Object.assign(new Error("The model did not return data matching the schema"), {
+      status: 422,
+      code: "extraction_failed",
+      details: { errors, lastReply: reply.substring(0, 2000), attempts: maxAttempts },
+    });
+  }
+
+  // Map-reduce summary of a whole document: consecutive chunks are grouped
+  // into sections, each section is summarized, and the section summaries are
+  // combined (recursively if they are still too long) into the final summary.
+  async summarizeDocument(documentId, { style = "executive", length = "medium", onProgress, ...options } = {}) {
+    const record = this.documents.get(documentId);
+    if (!record) {
+      throw requestError("Document not found", 404, "document_not_found");
+    }
+
+    const chunks = this.getDocumentChunks(documentId);
+    if (chunks.length === 0) {
+      throw requestError("Document has no indexed content", 409, "document_empty");
+    }
+
+    const report = (progress) => {
+      logger.debug("Summary progress", progress);
+      if (onProgress) onProgress(progress);
+    };
+
+    let sections = groupIntoSections(chunks.map(doc => ({
+      text: doc.pageContent,
+      // Only the position: headings would break mergeSectionLabels
+      label: describeSource({ ...doc.metadata, heading: null, source: "Section" }),
+    })));
+    const sectionCount = sections.length;
+
+    // Map: summarize each section, one request at a time to spare the quota
+    if (sections.length > 1) {
+      sections = await this.summarizeSections(sections, record, "map", report, options);
+    }
+
+    // Reduce: combine summaries until they fit in a single prompt
+    while (sections.length > 1 && sections.reduce((sum, section) => sum + section.text.length, 0) > SUMMARY_SECTION_CHARS) {
+      sections = await this.summarizeSections(
+        groupIntoSections(sections, "\n\n"), record, "reduce", report, options
+      );
+    }
 
-User Question: ${query}
+    report({ stage: "combine", completed: 0, total: 1 });
+    const content = sections
+      .map(section => sectionCount > 1 ? `[${section.label}]\n${section.text}` : section.text)
+      .join("\n\n");
+
+    const summarizePrompt = await this.prompts.render("summarize-document", {
+      document: record.source || "Text batch",
+      style: SUMMARY_STYLES[style],
+      length: SUMMARY_LENGTHS[length],
+      contentDescription: sectionCount > 1 ? "The content below consists of summaries of consecutive sections of the document, labelled with their page ranges." : "The content below is the full document text.",
+      content,
+    }, options);
+
+    const summary = await this.generate(summarizePrompt, options);
+    report({ stage: "combine", completed: 1, total: 1 });
+
+    return {
+      summary,
+      style,
+      length,
+      sections: sectionCount,
+      document: record,
+      pdfInfo: record.type === "pdf" ? toPdfInfo(record) : null,
+    };
+  }
+
+  async summarizeSections(sections, record, stage, report, options = {}) {
+    const summaries = [];
+    report({ stage, completed: 0, total: sections.length });
+
+    for (const [i, section] of sections.entries()) {
+      const prompt = await this.prompts.render("summarize-section", {
+        document: record.source || "Text batch",
+        section: section.label,
+        content: section.text,
+      }, { language: options.language });
+
+      const text = await this.generate(prompt, { signal: options.signal });
+      summaries.push({ text, label: section.label });
+      report({ stage, completed: i + 1, total: sections.length });
+    }
+
+    return summaries;
+  }
 
-Please provide an accurate and detailed answer in English:`;
+  async summarizePDF(options = {}) {
+    const documentId = options.documentId || this.getCurrentPdfInfo(options.workspace)?.documentId;
+    if (!documentId) {
+      throw requestError("Please upload a PDF file first", 409, "no_documents");
+    }
+    return this.summarizeDocument(documentId, options);
+  }
+
+  // Get history - with timeout protection
+  async loadHistory(conversation) {
+    let timeoutId;
+    try {
+      const memoryVars = await Promise.race([
+        conversation.memory.loadMemoryVariables({}),
+        new Promise((_, reject) => {
+          timeoutId = setTimeout(() => reject(new Error('Memory load timeout')), 5000);
+        })
+      ]);
+      return memoryVars.history || [];
+    } catch (memError) {
+      logger.warn("Failed to load memory, using empty memory", { error: memError });
+      return [];
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // The conversation as prompt text: the summary of older turns, if any,
+  // then the recent turns verbatim within the memory token budget
+  async historyContext(conversation, options = {}) {
+    const history = await this.loadHistory(conversation);
+    const { summary, historyText } = await this.memory.context(conversation, history, options);
+    const summaryText = summary ? `Summary of the earlier conversation:\n${summary}\n` : '';
+    return {
+      summaryText,
+      historyText,
+      // Both, as they go into the {history} of chat prompts
+      conversationText: `${summaryText ? `\n${summaryText}` : ''}${historyText ? `\nRecent Conversation:\n${historyText}\n` : ''}`,
+    };
+  }
+
+  async chatWithMemory(userInput, conversation, options = {}) {
+    const startTime = Date.now();
+    
+    try {
+      const { conversationText } = await this.historyContext(conversation, options);
+      
+      const prompt = await this.prompts.render("chat", { history: conversationText, question: userInput }, options);
+
+      const response = await this.generate(prompt, options);
+      
+      await this.saveTurn(conversation, userInput, response, { mode: "chat", startTime });
+      logger.info("Chat response generated", { mode: "chat", durationMs: Date.now() - startTime });
+      
+      return response;
+    } catch (error) {
+      logger.warn("Chat generation failed", { mode: "chat", durationMs: Date.now() - startTime, error });
+      
+      // Routes map it to a status code with mapLLMError
+      throw error;
+    }
+  }
+
+  // Rewrite a follow-up ("what about the second point?") into a question
+  // that can be understood without the conversation
+  async condenseQuestion(userInput, historyText, options = {}) {
+    if (!historyText) {
+      return userInput;
+    }
+
+    const prompt = await this.prompts.render("condense-question", { history: historyText, question: userInput });
+
+    const standalone = await this.generate(prompt, { signal: options.signal });
+    return standalone.trim() || userInput;
+  }
+
+  // Chat with memory grounded in the indexed documents
+  async chatWithDocuments(userInput, conversation, options = {}) {
+    const startTime = Date.now();
+
+    const { summaryText, historyText, conversationText } = await this.historyContext(conversation, options);
+
+    const standaloneQuestion = await this.condenseQuestion(userInput, [summaryText, historyText].filter(Boolean).join('\n'), options);
+    logger.debug("Condensed the question", { rewritten: standaloneQuestion !== userInput });
+
+    const { context, citations } = await this.retrieveContext(standaloneQuestion, { workspace: options.workspace, signal: options.signal });
+    if (citations.length === 0) {
+      options.onToken?.(NOT_FOUND_ANSWER);
+      await this.saveTurn(conversation, userInput, NOT_FOUND_ANSWER, { mode: "documents", startTime, citations });
+      return { response: NOT_FOUND_ANSWER, notFound: true, standaloneQuestion, sources: 0, citations };
+    }
+
+    const prompt = await this.prompts.render("chat-documents", { context, history: conversationText, question: userInput }, options);
+
+    const answer = await this.generate(prompt, options);
+
+    // Keep the citations with the answer in the conversation
+    await this.saveTurn(conversation, userInput, answer, { mode: "documents", startTime, citations });
+
+    logger.info("Chat response generated", { mode: "documents", sources: citations.length, durationMs: Date.now() - startTime });
+
+    return {
+      response: answer,
+      standaloneQuestion,
+      sources: citations.length,
+      citations,
+    };
+  }
+
+  // Store a question and its answer with their timestamps, the mode that
+  // answered and how long it took
+  async saveTurn(conversation, userInput, answer, { mode, startTime, citations }) {
+    const now = Date.now();
+    conversation.updatedAt = new Date(now).toISOString();
+    await conversation.memory.chatHistory.addMessage(createMessage("user", userInput, {
+      timestamp: new Date(startTime).toISOString(),
+      mode,
+    }));
+    await conversation.memory.chatHistory.addMessage(createMessage("assistant", answer, {
+      timestamp: conversation.updatedAt,
+      mode,
+      latencyMs: now - startTime,
+      citations,
+    }));
+  }
+
+  async getMemory(conversation) {
+    const memoryVariables = await conversation.memory.loadMemoryVariables({});
+    return memoryVariables;
+  }
+
+  async clearMemory(conversation) {
+    await conversation.memory.clear();
+    conversation.summary = null;
+  }
+
+  // The last PDF uploaded (to a workspace, if given)
+  getCurrentPdfInfo(workspace) {
+    if (!workspace) {
+      return this.currentPdfInfo;
+    }
+    const lastPdf = this.listDocuments(workspace).filter(doc => doc.type === "pdf").pop();
+    return lastPdf ? toPdfInfo(lastPdf) : null;
+  }
+}
+
+// Conversations are scoped to a session, identified by the X-Session-Id
+// header or the sessionId cookie
+const SESSION_COOKIE = "sessionId";
+const sessionStore = new SessionStore({
+  ttlMs: (Number(process.env.SESSION_TTL_MINUTES) || 60) * 60 * 1000,
+});
+sessionStore.startSweeper();
+
+function readCookie(req, name) {
+  const cookies = req.headers.cookie ? req.headers.cookie.split(";") : [];
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split("=");
+    if (key === name) return decodeURIComponent(value.join("="));
+  }
+  return null;
+}
+
+function withSession(req, res, next) {
+  let sessionId = req.get("X-Session-Id") || readCookie(req, SESSION_COOKIE);
+  if (!isValidSessionId(sessionId)) {
+    sessionId = randomUUID();
+    res.cookie(SESSION_COOKIE, sessionId, { httpOnly: true, sameSite: "lax" });
+  }
+  // Sessions are per workspace: the same id in another workspace is
+  // another session
+  req.session = sessionStore.touch(`${req.workspace}/${sessionId}`);
+  res.set("X-Session-Id", sessionId);
+  next();
+}
+
+// Resolve the conversation a request targets (body or query `conversationId`,
+// else the session's active one). Sends a 404 and returns null if unknown.
+function resolveConversation(req, res) {
+  const conversationId = req.body?.conversationId || req.query.conversationId;
+  const conversation = sessionStore.getConversation(req.session, conversationId);
+  if (!conversation) {
+    res.status(404).json({ error: "Conversation not found" });
+  }
+  return conversation;
+}
+
+// Check API Key (only Gemini needs one)
+const providers = createProviders();
+const apiKeyConfigured = !providers.needsGoogleKey
+  || (process.env.GOOGLE_API_KEY && process.env.GOOGLE_API_KEY !== 'your_gemini_api_key_here');
+if (!apiKeyConfigured) {
+  logger.warn("GOOGLE_API_KEY not configured: set your Gemini API key in the .env file (get one at https://makersuite.google.com/app/apikey)");
+}
+
+// Initialize RAG System
+const ragSystem = new RAGSystem({ providers });
+
+// Restore documents indexed in a previous run
+try {
+  await ragSystem.load();
+} catch (error) {
+  logger.error("Failed to load saved documents", { error });
+}
+
+// Metrics read from the schedulers and the index at every scrape
+const schedulers = { llm: ragSystem.llmScheduler, embeddings: ragSystem.embeddingScheduler };
+const schedulerMetric = (name, help, read) => metrics.register(new Counter({
+  name,
+  help,
+  labelNames: ["scheduler"],
+  collect: () => Object.entries(schedulers).map(([scheduler, state]) => ({ labels: { scheduler }, value: read(state) })),
+}));
+schedulerMetric("provider_calls_total", "Provider calls made by each scheduler", (state) => state.stats.calls);
+schedulerMetric("provider_retries_total", "Provider calls retried after a transient error", (state) => state.stats.retries);
+schedulerMetric("provider_rate_limited_total", "Provider rate limit errors and calls refused by the local quota", (state) => state.stats.rateLimited);
+schedulerMetric("provider_failures_total", "Provider calls that failed for good", (state) => state.stats.failed);
+metrics.gauge({
+  name: "provider_queue_length",
+  help: "Provider calls waiting in each scheduler",
+  labelNames: ["scheduler"],
+  collect: () => Object.entries(schedulers).map(([scheduler, state]) => ({ labels: { scheduler }, value: state.pending })),
+});
+metrics.gauge({ name: "rag_documents", help: "Indexed documents", collect: () => [{ value: ragSystem.documents.size }] });
+metrics.gauge({ name: "rag_chunks", help: "Indexed chunks", collect: () => [{ value: ragSystem.vectorStore?.docstore._docs.size ?? 0 }] });
+metrics.gauge({ name: "embedding_cache_entries", help: "Embeddings in the cache", collect: () => [{ value: ragSystem.embeddingCache.size }] });
+
+// Uploads are ingested as background jobs, one at a time. The uploaded file
+// is kept until its job succeeds so that failed jobs can be retried.
+const jobStore = new JobStore({
+  ttlMs: (Number(process.env.JOB_TTL_MINUTES) || 60) * 60 * 1000,
+  run: async (job, onProgress) => {
+    const { path: filePath, filename, mimetype, tags, chunking, workspace } = job.payload;
+    const buffer = await fs.promises.readFile(filePath);
+    return ragSystem.ingestFile(buffer, filename, mimetype, { onProgress, tags, chunking, workspace });
+  },
+  discard: (job) => fs.promises.rm(job.payload.path, { force: true }),
+});
+jobStore.startSweeper();
+
+// Default docs
+const defaultDocuments = [
+  "LangChain is a framework for developing applications powered by language models.",
+  "Gemini is a multimodal large language model developed by Google.",
+  "RAG (Retrieval Augmented Generation) enhances LLM responses by retrieving relevant documents.",
+];
+
+// API Routes
+
+// Health Check
+app.get("/api/health", (req, res) => {
+  // Public route: document counts are only those of the caller's workspace
+  const documents = req.principal ? ragSystem.listDocuments(req.workspace) : [];
+  res.json({
+    status: "ok",
+    initialized: ragSystem.isInitialized,
+    pdfLoaded: documents.some(doc => doc.type === "pdf"),
+    documents: documents.length,
+    auth: authStore.enabled,
+    llm: ragSystem.llmName,
+    embeddings: ragSystem.embeddingName,
+    scheduler: {
+      llm: { pending: ragSystem.llmScheduler.pending, ...ragSystem.llmScheduler.stats },
+      embeddings: { pending: ragSystem.embeddingScheduler.pending, ...ragSystem.embeddingScheduler.stats },
+    },
+  });
+});
+
+// Prometheus metrics. With METRICS_TOKEN set, scrapers must send it as a
+// bearer token; the metrics hold no document or user content either way.
+app.get("/metrics", async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token) {
+    const sent = Buffer.from(req.get("Authorization")?.match(/^Bearer\s+(.+)$/i)?.[1] || "");
+    if (sent.length !== Buffer.byteLength(token) || !timingSafeEqual(sent, Buffer.from(token))) {
+      res.set("WWW-Authenticate", 'Bearer realm="metrics"');
+      return res.status(401).json({ error: "Authentication required", code: "unauthorized" });
+    }
+  }
+  try {
+    res.type("text/plain; version=0.0.4").send(await metrics.render());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Log in to the web UI: sets the login cookie
+app.post("/api/auth/login", async (req, res) => {
+  if (!authStore.enabled) {
+    return res.status(400).json({ error: "Authentication is not enabled" });
+  }
+  const { username, password } = req.body || {};
+  let session;
+  try {
+    session = await authStore.login(username, password, { ip: req.ip });
+  } catch (error) {
+    if (error.retryAfter) {
+      res.set("Retry-After", String(error.retryAfter));
+    }
+    logger.warn("Login throttled", { user: username, ip: req.ip });
+    return res.status(error.status || 500).json({ error: error.message, code: error.code, retryAfter: error.retryAfter });
+  }
+  if (!session) {
+    return res.status(401).json({ error: "Invalid username or password", code: "invalid_credentials" });
+  }
+
+  res.cookie(AUTH_COOKIE, session.token, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: req.secure,
+    maxAge: authStore.sessionTtlMs,
+  });
+  logger.info("User logged in", { user: session.principal.name, workspace: session.principal.workspace });
+  res.json({ success: true, user: session.principal });
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  const token = readCookie(req, AUTH_COOKIE);
+  if (token) authStore.logout(token);
+  res.clearCookie(AUTH_COOKIE);
+  res.json({ success: true });
+});
+
+// Who the caller is, so the UI knows whether to show the login form
+app.get("/api/auth/me", (req, res) => {
+  res.json({
+    authEnabled: authStore.enabled,
+    authenticated: Boolean(req.principal),
+    user: req.principal || null,
+  });
+});
+
+// API keys of the caller's workspace. Keys are created by logged-in users
+// and shown only once.
+app.post("/api/auth/keys", async (req, res) => {
+  try {
+    if (!authStore.enabled) {
+      return res.status(400).json({ error: "Authentication is not enabled" });
+    }
+    if (req.principal.type !== "user") {
+      return res.status(403).json({ error: "Only logged-in users can create API keys", code: "forbidden" });
+    }
+    const { name } = req.body || {};
+    if (name !== undefined && (typeof name !== "string" || name.length > 100)) {
+      return res.status(400).json({ error: "name must be a string of at most 100 characters" });
+    }
+    const apiKey = await authStore.createApiKey(req.principal, name?.trim());
+    res.status(201).json(apiKey);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/api/auth/keys", (req, res) => {
+  const keys = authStore.listApiKeys(req.workspace);
+  res.json({ keys, total: keys.length });
+});
 
-    const response = await this.llm.invoke(prompt);
-    return {
-      answer: response.content,
-      sources: relevantDocs.length,
-      pdfInfo: this.currentPdfInfo,
-    };
+app.delete("/api/auth/keys/:id", async (req, res) => {
+  try {
+    const apiKey = await authStore.revokeApiKey(req.workspace, req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+    res.json({ success: true, key: apiKey });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
 
-  async summarizeText(text) {
-    const summarizePrompt = `Please generate a concise summary (3-5 sentences) for the following text:
-
-Text:
-${text}
+// Tags given as an array or a comma-separated string (multipart uploads)
+function parseTags(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+}
 
-Summary (in English):`;
+// Upload a document (PDF, DOCX, Markdown, HTML, TXT or CSV). Responds at
+// once with the ingestion job; follow it with /api/jobs/:id. A file that is
+// already indexed is not queued: the existing document is returned instead.
+async function handleUpload(req, res) {
+  if (!req.file) {
+    return res.status(400).json({ error: `Please upload a file (${SUPPORTED_EXTENSIONS.join(", ")})` });
+  }
 
-    const response = await this.llm.invoke(summarizePrompt);
-    return response.content;
+  let chunking;
+  try {
+    chunking = parseChunkingOptions(req.body.chunking);
+  } catch (error) {
+    fs.promises.rm(req.file.path, { force: true });
+    return res.status(error.status || 400).json({ error: error.message });
   }
 
-  async summarizePDF() {
-    if (!this.currentPdfInfo) {
-      throw new Error("Please upload a PDF file first");
+  try {
+    const existing = ragSystem.findDocumentByHash(hashContent(await fs.promises.readFile(req.file.path)), req.workspace);
+    if (existing) {
+      fs.promises.rm(req.file.path, { force: true });
+      logger.info("File already indexed", { filename: req.file.originalname, documentId: existing.id });
+      return res.json({ duplicate: true, documentId: existing.id, info: toUploadInfo(existing) });
     }
-
-    // Get all document fragments
-    const allDocs = await this.vectorStore.similaritySearch("", 10);
-    const fullText = allDocs.map(doc => doc.pageContent).join("\n\n");
-
-    const summarizePrompt = `Please generate a comprehensive summary (5-8 sentences) for the following PDF document content, including:
-1. Main topic
-2. Key points
-3. Important conclusions or findings
-
-PDF Content:
-${fullText.substring(0, 8000)}
-
-Summary (in English):`;
-
-    const response = await this.llm.invoke(summarizePrompt);
-    return {
-      summary: response.content,
-      pdfInfo: this.currentPdfInfo,
-    };
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
   }
 
-  async chatWithMemory(userInput) {
-    const startTime = Date.now();
-    
-    try {
-      console.log('  🤖 Generating chat response (with memory)...');
-      
-      // Get history - with timeout protection
-      let history = [];
-      try {
-        const memoryVars = await Promise.race([
-          this.memory.loadMemoryVariables({}),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Memory load timeout')), 5000)
-          )
-        ]);
-        history = memoryVars.history || [];
-      } catch (memError) {
-        console.warn('  ⚠️  Failed to load memory, using empty memory:', memError.message);
-        history = [];
-      }
-      
-      console.log(`  💭 Current History: ${history.length} messages`);
-      
-      // Build prompt with history - Simplified
-      let historyText = '';
-      if (history.length > 0) {
-        // Keep last 3 turns (6 messages) to save tokens
-        const recentHistory = history.slice(-6);
-        historyText = recentHistory.map(msg => {
-          try {
-            const role = msg._getType() === 'human' ? 'User' : 'Assistant';
-            const content = msg.content?.substring(0, 200) || ''; // Limit length
-            return `${role}: ${content}`;
-          } catch (e) {
-            return '';
-          }
-        }).filter(Boolean).join('\n');
-      }
-      
-      const prompt = historyText 
-        ? `You are a friendly AI assistant. Answer concisely (2-3 sentences).
-
-Recent Conversation:
-${historyText}
+  const job = jobStore.create({
+    type: "ingest",
+    filename: req.file.originalname,
+    workspace: req.workspace,
+    payload: {
+      path: req.file.path,
+      filename: req.file.originalname,
+      mimetype: req.file.mimetype,
+      tags: parseTags(req.body.tags),
+      chunking,
+      workspace: req.workspace,
+    },
+  });
+  logger.info("Queued ingestion job", { jobId: job.id, filename: req.file.originalname });
 
-User: ${userInput}
-Assistant:`
-        : `You are a friendly AI assistant. Answer concisely (2-3 sentences).
+  res.status(202).json({ jobId: job.id, job: toJobInfo(job) });
+}
 
-User: ${userInput}
-Assistant:`;
+app.post("/api/upload", upload.single("file"), restoreRequestContext, handleUpload);
+// Kept for existing clients, which send the file in the "pdf" field
+app.post("/api/upload-pdf", upload.single("pdf"), restoreRequestContext, handleUpload);
 
-      console.log('  🌐 Calling Gemini API...');
-      const response = await this.llm.invoke(prompt);
-      
-      // Save memory asynchronously
-      this.memory.saveContext(
-        { input: userInput },
-        { output: response.content }
-      ).catch(err => console.warn('  ⚠️  Failed to save memory:', err.message));
-      
-      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-      console.log(`  ✅ Chat response success (Time: ${duration}s)`);
-      
-      return response.content;
+// Chunking dry run: the chunks a file (multipart "file") or a text (JSON
+// "text") would produce with the given chunking options, without embedding
+// or indexing anything
+app.post("/api/chunks/preview", upload.single("file"), restoreRequestContext, async (req, res) => {
+  try {
+    let chunking;
+    try {
+      chunking = parseChunkingOptions(req.body.chunking);
     } catch (error) {
-      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-      console.error(`  ❌ Chat Generation Failed (Time: ${duration}s)`);
-      console.error('  Error Details:', error.message);
-      
-      // Quota issues
-      if (error.message.includes('429') || error.message.includes('quota')) {
-        throw new Error('API Quota Exceeded. Free tier: 15 req/min. Please wait 1 minute.');
-      }
-      
-      // Timeout issues
-      if (error.message.includes('timeout') || error.message.includes('ETIMEDOUT')) {
-        throw new Error('API response timeout. Check network or retry later.');
-      }
-      
-      throw error;
+      return res.status(error.status || 400).json({ error: error.message });
     }
-  }
-
-  async getMemory() {
-    const memoryVariables = await this.memory.loadMemoryVariables({});
-    return memoryVariables;
-  }
 
-  async clearMemory() {
-    await this.memory.clear();
-  }
+    let result;
+    if (req.file) {
+      const buffer = await fs.promises.readFile(req.file.path);
+      const { loader, sections, text, splitDocs } = await ragSystem.parseFile(buffer, req.file.originalname, req.file.mimetype, { chunking });
+      result = { filename: req.file.originalname, type: loader.name, sections: sections.length, textLength: text.length, splitDocs };
+    } else if (typeof req.body.text === "string" && req.body.text.trim()) {
+      const splitDocs = await ragSystem.splitText([req.body.text], chunking);
+      result = { filename: null, type: "text", sections: 1, textLength: req.body.text.length, splitDocs };
+    } else {
+      return res.status(400).json({ error: "Please upload a file or provide a text" });
+    }
 
-  getCurrentPdfInfo() {
-    return this.currentPdfInfo;
+    const { splitDocs, ...info } = result;
+    const chunks = splitDocs.map(doc => doc.pageContent);
+    const measure = lengthFunction(chunking.unit);
+    res.json({
+      ...info,
+      chunking,
+      stats: chunkStats(chunks, chunking.unit),
+      chunks: splitDocs.map((doc, index) => ({
+        index,
+        text: doc.pageContent,
+        length: measure(doc.pageContent),
+        metadata: doc.metadata,
+      })),
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, ...(error.code ? { code: error.code } : {}) });
+  } finally {
+    if (req.file) fs.promises.rm(req.file.path, { force: true });
   }
-}
+});
 
-// Initialize RAG System
-const ragSystem = new RAGSystem();
+// Ingestion jobs
+app.get("/api/jobs", (req, res) => {
+  const jobs = jobStore.list(req.workspace).map(toJobInfo);
+  res.json({ jobs, total: jobs.length });
+});
 
-// Check API Key
-if (!process.env.GOOGLE_API_KEY || process.env.GOOGLE_API_KEY === 'your_gemini_api_key_here') {
-  console.error('⚠️  WARNING: GOOGLE_API_KEY not configured!');
-  console.error('Please set your Gemini API key in the .env file');
-  console.error('Get Key: https://makersuite.google.com/app/apikey');
-}
+app.get("/api/jobs/:id", (req, res) => {
+  const job = jobStore.get(req.params.id, req.workspace);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  res.json(toJobInfo(job));
+});
 
-// Default docs
-const defaultDocuments = [
-  "LangChain is a framework for developing applications powered by language models.",
-  "Gemini is a multimodal large language model developed by Google.",
-  "RAG (Retrieval Augmented Generation) enhances LLM responses by retrieving relevant documents.",
-];
+// Progress of a job as Server-Sent Events: `progress` on every change, then
+// `done` with the finished job, or `error` if it failed
+app.get("/api/jobs/:id/events", (req, res) => {
+  const job = jobStore.get(req.params.id, req.workspace);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
 
-// API Routes
+  const stream = openEventStream(res);
+  const onUpdate = (updated) => {
+    if (updated.id !== job.id) return;
+    if (updated.status === "completed") {
+      stream.send("done", toJobInfo(updated));
+    } else if (updated.status === "failed") {
+      stream.send("error", { error: updated.error, status: 500, job: toJobInfo(updated) });
+    } else {
+      stream.send("progress", toJobInfo(updated));
+      return;
+    }
+    jobStore.off("update", onUpdate);
+    stream.end();
+  };
 
-// Health Check
-app.get("/api/health", (req, res) => {
-  res.json({
-    status: "ok",
-    initialized: ragSystem.isInitialized,
-    pdfLoaded: ragSystem.currentPdfInfo !== null,
-  });
+  jobStore.on("update", onUpdate);
+  stream.signal.addEventListener("abort", () => jobStore.off("update", onUpdate));
+  onUpdate(job);
 });
 
-// Upload PDF
-app.post("/api/upload-pdf", upload.single("pdf"), async (req, res) => {
+app.post("/api/jobs/:id/retry", (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: "Please upload a PDF file" });
+    const job = jobStore.retry(req.params.id, req.workspace);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
     }
-
-    const pdfBuffer = fs.readFileSync(req.file.path);
-    const result = await ragSystem.ingestPDF(pdfBuffer, req.file.originalname);
-
-    // Delete temp file
-    fs.unlinkSync(req.file.path);
-
-    res.json(result);
+    logger.info("Retrying job", { jobId: job.id, filename: job.filename });
+    res.status(202).json({ jobId: job.id, job: toJobInfo(job) });
   } catch (error) {
-    if (req.file) {
-      fs.unlinkSync(req.file.path);
-    }
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 // Get PDF Info
 app.get("/api/pdf-info", (req, res) => {
-  const info = ragSystem.getCurrentPdfInfo();
+  const info = ragSystem.getCurrentPdfInfo(req.workspace);
   if (!info) {
     return res.status(404).json({ error: "No PDF loaded" });
   }
   res.json(info);
 });
 
+// Prompt options of a request: `promptTemplate` ("name" or "name@version",
+// a template of the given type) and the answer `language`. Sends a 400 (or
+// a 404 for an unknown template) and returns null if they are invalid.
+function readPromptOptions(req, res, type) {
+  const { promptTemplate, language } = req.body || {};
+  try {
+    const options = {};
+    if (promptTemplate !== undefined && promptTemplate !== null) {
+      options.prompt = parseTemplateSelection(promptTemplate);
+      ragSystem.prompts.resolve(type, options.prompt);
+    }
+    if (language !== undefined && language !== null) {
+      options.language = parseLanguage(language);
+    }
+    return options;
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+    return null;
+  }
+}
+
+// Validate the { documentId, style, length } body of the summary routes.
+// Sends a 400/404 and returns null if invalid.
+function readSummaryOptions(req, res) {
+  const { documentId, style = "executive", length = "medium" } = req.body || {};
+  if (!SUMMARY_STYLES[style]) {
+    res.status(400).json({ error: `Unknown summary style. Use one of: ${Object.keys(SUMMARY_STYLES).join(", ")}` });
+    return null;
+  }
+  if (!SUMMARY_LENGTHS[length]) {
+    res.status(400).json({ error: `Unknown summary length. Use one of: ${Object.keys(SUMMARY_LENGTHS).join(", ")}` });
+    return null;
+  }
+  if (documentId && ragSystem.findDocuments({ workspace: req.workspace, documentIds: [documentId] }).size === 0) {
+    res.status(404).json({ error: "Document not found" });
+    return null;
+  }
+  const prompt = readPromptOptions(req, res, "summarize-document");
+  if (!prompt) return null;
+  return { documentId, style, length, ...prompt, workspace: req.workspace };
+}
+
 // PDF Summary
 app.post("/api/pdf-summary", async (req, res) => {
   const startTime = Date.now();
   
   try {
-    console.log(`\n📋 [${new Date().toISOString()}] Received PDF Summary Request`);
-    console.log(`⏱️  Processing...`);
-    
-    // Set longer timeout for summary
-    req.setTimeout(90000); // 90s
-    res.setTimeout(90000);
-    
-    const result = await ragSystem.summarizePDF();
+    const options = readSummaryOptions(req, res);
+    if (!options) return;
+
+    // Set longer timeout for summary (long documents take several requests)
+    req.setTimeout(300000); // 5min
+    res.setTimeout(300000);
     
-    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-    console.log(`✅ PDF Summary Generated (Time: ${duration}s)`);
+    const result = await ragSystem.summarizePDF(options);
     
     res.json(result);
   } catch (error) {
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-    console.error(`❌ PDF Summary Error (Time: ${duration}s):`, error.message);
+    logger.warn("PDF summary failed", { durationMs: Date.now() - startTime, error });
     
-    let errorMessage = error.message;
-    
-    if (error.message.includes('timeout') || error.message.includes('ETIMEDOUT')) {
-      errorMessage = 'PDF Summary timed out (Document might be too large). Try specific questions instead.';
-    } else if (error.message.includes('quota') || error.message.includes('429')) {
-      errorMessage = 'API Quota Exceeded. Please wait 1 minute.';
+    const mapped = mapLLMError(error, duration);
+    if (mapped.code === "provider_timeout") {
+      mapped.errorMessage = 'PDF Summary timed out (Document might be too large). Try specific questions instead.';
     }
-    
-    res.status(500).json({ error: errorMessage });
+    sendLLMError(res, mapped);
   }
 });
 
+// PDF Summary (Streaming)
+app.post("/api/pdf-summary/stream", async (req, res) => {
+  const summaryOptions = readSummaryOptions(req, res);
+  if (!summaryOptions) return;
+
+  await streamResponse(res, 'PDF Summary', (options) => ragSystem.summarizePDF({ ...summaryOptions, ...options }));
+});
+
 // Load Documents
 app.post("/api/documents", async (req, res) => {
   try {
-    const { documents } = req.body;
+    const { documents, tags } = req.body;
     if (!documents || !Array.isArray(documents)) {
       return res.status(400).json({ error: "Please provide a document array" });
     }
-    await ragSystem.ingestDocuments(documents);
-    res.json({ success: true, message: "Documents loaded successfully", count: documents.length });
+    if (documents.length === 0 || !documents.every(text => typeof text === "string" && text.trim().length > 0)) {
+      return res.status(400).json({ error: "documents must be a non-empty array of non-empty strings" });
+    }
+    let chunking;
+    try {
+      chunking = parseChunkingOptions(req.body.chunking);
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+    const document = await ragSystem.ingestDocuments(documents, { type: "text" }, { tags: parseTags(tags), workspace: req.workspace }, chunking);
+    res.json({ success: true, message: "Documents loaded successfully", count: documents.length, document });
+  } catch (error) {
+    sendLLMError(res, mapLLMError(error));
+  }
+});
+
+// List Documents
+app.get("/api/documents", (req, res) => {
+  const documents = ragSystem.listDocuments(req.workspace);
+  res.json({ documents, total: documents.length });
+});
+
+// Delete Document
+app.delete("/api/documents/:id", async (req, res) => {
+  try {
+    if (ragSystem.findDocuments({ workspace: req.workspace, documentIds: [req.params.id] }).size === 0) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+    const document = await ragSystem.deleteDocument(req.params.id);
+    if (!document) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+    res.json({ success: true, message: "Document removed", document });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Validate the { mode, k } retrieval options of the RAG routes.
+// Sends a 400 and returns null if invalid.
+function readRetrievalOptions(req, res) {
+  const { mode = "hybrid", k = 3, minRelevance } = req.body || {};
+  if (!RETRIEVAL_MODES.includes(mode)) {
+    res.status(400).json({ error: `Unknown retrieval mode. Use one of: ${RETRIEVAL_MODES.join(", ")}` });
+    return null;
+  }
+  if (!Number.isInteger(k) || k < 1 || k > MAX_RETRIEVAL_K) {
+    res.status(400).json({ error: `k must be an integer between 1 and ${MAX_RETRIEVAL_K}` });
+    return null;
+  }
+  if (minRelevance !== undefined && (typeof minRelevance !== "number" || minRelevance < 0 || minRelevance > 1)) {
+    res.status(400).json({ error: "minRelevance must be a number between 0 and 1" });
+    return null;
+  }
+  return { mode, k, minRelevance };
+}
+
+// Validate the `filters` of the RAG routes and resolve them to the ids of
+// the matching documents: { documentIds } (null without filters). Sends a
+// 400 (or 404 if no document matches) and returns null otherwise.
+function readFilters(req, res) {
+  const filters = req.body?.filters;
+  if (filters === undefined || filters === null) {
+    return { documentIds: null };
+  }
+
+  const fail = (message) => {
+    res.status(400).json({ error: message });
+    return null;
+  };
+  const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === "string");
+
+  if (typeof filters !== "object" || Array.isArray(filters)) {
+    return fail("filters must be an object");
+  }
+
+  const criteria = {};
+  if (filters.documentIds !== undefined) {
+    if (!isStringArray(filters.documentIds)) return fail("filters.documentIds must be an array of document ids");
+    criteria.documentIds = filters.documentIds;
+  }
+  if (filters.filename !== undefined) {
+    if (typeof filters.filename !== "string") return fail("filters.filename must be a string");
+    criteria.filename = filters.filename;
+  }
+  if (filters.type !== undefined) {
+    const types = typeof filters.type === "string" ? [filters.type] : filters.type;
+    if (!isStringArray(types)) return fail("filters.type must be a document type or an array of types");
+    criteria.types = types;
+  }
+  for (const key of ["uploadedAfter", "uploadedBefore"]) {
+    if (filters[key] === undefined) continue;
+    const date = new Date(filters[key]);
+    if (typeof filters[key] !== "string" || Number.isNaN(date.getTime())) {
+      return fail(`filters.${key} must be an ISO date`);
+    }
+    criteria[key] = date;
+  }
+  if (filters.tags !== undefined) {
+    if (typeof filters.tags !== "string" && !isStringArray(filters.tags)) {
+      return fail("filters.tags must be an array of tags");
+    }
+    criteria.tags = parseTags(filters.tags);
+  }
+
+  const documentIds = ragSystem.findDocuments({ ...criteria, workspace: req.workspace });
+  if (documentIds.size === 0) {
+    res.status(404).json({ error: "No documents match the filters" });
+    return null;
+  }
+  return { documentIds };
+}
+
 // RAG Query
 app.post("/api/rag/query", async (req, res) => {
   try {
     const { query } = req.body;
-    if (!query) {
+    if (typeof query !== "string" || !query.trim()) {
       return res.status(400).json({ error: "Please provide a query" });
     }
-    const result = await ragSystem.queryWithRAG(query);
+    const retrieval = readRetrievalOptions(req, res);
+    if (!retrieval) return;
+    const scope = readFilters(req, res);
+    if (!scope) return;
+    const prompt = readPromptOptions(req, res, "rag-query");
+    if (!prompt) return;
+
+    const result = await ragSystem.queryWithRAG(query, { ...retrieval, ...scope, ...prompt, workspace: req.workspace });
     res.json(result);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendLLMError(res, mapLLMError(error));
   }
 });
 
+// RAG Query (Streaming)
+app.post("/api/rag/query/stream", async (req, res) => {
+  const { query } = req.body;
+  if (typeof query !== "string" || !query.trim()) {
+    return res.status(400).json({ error: "Please provide a query" });
+  }
+  const retrieval = readRetrievalOptions(req, res);
+  if (!retrieval) return;
+  const scope = readFilters(req, res);
+  if (!scope) return;
+  const prompt = readPromptOptions(req, res, "rag-query");
+  if (!prompt) return;
+
+  await streamResponse(res, 'RAG Query', (options) => ragSystem.queryWithRAG(query, { ...options, ...retrieval, ...scope, ...prompt, workspace: req.workspace }));
+});
+
 // Text Summarize
 app.post("/api/summarize", async (req, res) => {
   try {
-    const { text } = req.body;
-    if (!text) {
+    const { text, length = "short" } = req.body;
+    if (typeof text !== "string" || !text.trim()) {
       return res.status(400).json({ error: "Please provide text to summarize" });
     }
-    const summary = await ragSystem.summarizeText(text);
+    if (!SUMMARY_TEXT_LENGTHS[length]) {
+      return res.status(400).json({ error: `Unknown summary length. Use one of: ${Object.keys(SUMMARY_TEXT_LENGTHS).join(", ")}` });
+    }
+    const prompt = readPromptOptions(req, res, "summarize-text");
+    if (!prompt) return;
+    const summary = await ragSystem.summarizeText(text, { length, ...prompt });
     res.json({ summary });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendLLMError(res, mapLLMError(error));
+  }
+});
+
+// Structured Extraction: the fields of a JSON Schema from one document,
+// with the fragments each field was taken from
+app.post("/api/extract", async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { documentId, schema, instructions } = req.body || {};
+    if (!documentId || typeof documentId !== "string") {
+      return res.status(400).json({ error: "Please provide a documentId" });
+    }
+    const { validate } = compileSchema(schema);
+    if (instructions !== undefined && (typeof instructions !== "string" || instructions.length > 2000)) {
+      return res.status(400).json({ error: "instructions must be a string of at most 2000 characters" });
+    }
+    const prompt = readPromptOptions(req, res, "extract");
+    if (!prompt) return;
+    if (ragSystem.findDocuments({ workspace: req.workspace, documentIds: [documentId] }).size === 0) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    const result = await ragSystem.extractStructured(documentId, schema, { validate, instructions, ...prompt });
+    logger.info("Extraction completed", { documentId, attempts: result.attempts, durationMs: Date.now() - startTime });
+    res.json(result);
+  } catch (error) {
+    if (error.status === 400 || error.status === 422) {
+      return res.status(error.status).json({ error: error.message, ...(error.code ? { code: error.code } : {}), ...error.details });
+    }
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    logger.warn("Extraction failed", { documentId: req.body?.documentId, durationMs: Date.now() - startTime, error });
+    sendLLMError(res, mapLLMError(error, duration));
+  }
+});
+
+// Prompt Templates (see lib/prompts.js). Anyone can list them; creating
+// templates, adding versions and switching the active version is for admins.
+function requireAdmin(req, res, next) {
+  if (!authStore.isAdmin(req.principal)) {
+    return res.status(403).json({ error: "Only admins can change prompt templates", code: "forbidden" });
+  }
+  next();
+}
+
+function sendPromptError(res, error) {
+  res.status(error.status || 500).json({ error: error.message });
+}
+
+app.get("/api/prompts", (req, res) => {
+  res.json({
+    templates: ragSystem.prompts.list(),
+    types: PROMPT_TYPES,
+    defaultLanguage: ragSystem.prompts.defaultLanguage,
+  });
+});
+
+app.get("/api/prompts/:name", (req, res) => {
+  const template = ragSystem.prompts.get(req.params.name);
+  if (!template) {
+    return res.status(404).json({ error: "Prompt template not found" });
+  }
+  res.json({ ...toTemplateInfo(template), versions: template.versions });
+});
+
+app.post("/api/prompts", requireAdmin, async (req, res) => {
+  try {
+    const template = await ragSystem.prompts.create(req.body || {}, req.principal.name);
+    logger.info("Prompt template created", { template: template.name, type: template.type, user: req.principal.name });
+    res.status(201).json({ ...toTemplateInfo(template), versions: template.versions });
+  } catch (error) {
+    sendPromptError(res, error);
+  }
+});
+
+app.post("/api/prompts/:name/versions", requireAdmin, async (req, res) => {
+  try {
+    const { template, note, activate } = req.body || {};
+    const version = await ragSystem.prompts.addVersion(req.params.name, { template, note, activate: activate !== false }, req.principal.name);
+    logger.info("Prompt template version added", { template: req.params.name, version: version.version, user: req.principal.name });
+    res.status(201).json({ ...toTemplateInfo(ragSystem.prompts.get(req.params.name)), version });
+  } catch (error) {
+    sendPromptError(res, error);
+  }
+});
+
+app.put("/api/prompts/:name/active", requireAdmin, async (req, res) => {
+  try {
+    const { version } = req.body || {};
+    if (!Number.isInteger(version)) {
+      return res.status(400).json({ error: "version must be an integer" });
+    }
+    const template = await ragSystem.prompts.activate(req.params.name, version);
+    logger.info("Prompt template version activated", { template: template.name, version, user: req.principal.name });
+    res.json(toTemplateInfo(template));
+  } catch (error) {
+    sendPromptError(res, error);
   }
 });
 
 // Chat (With Memory)
-app.post("/api/chat", async (req, res) => {
+app.post("/api/chat", withSession, async (req, res) => {
   const startTime = Date.now();
+  let timeoutId;
   
   try {
     const { message } = req.body;
-    if (!message) {
+    if (typeof message !== "string" || !message.trim()) {
       return res.status(400).json({ error: "Please provide message content" });
     }
-    
-    console.log(`\n💬 [${new Date().toISOString()}] Received Chat Message: "${message}"`);
-    console.log(`⏱️  Processing...`);
+    const conversation = resolveConversation(req, res);
+    if (!conversation) return;
+    const prompt = readPromptOptions(req, res, "chat");
+    if (!prompt) return;
     
     // Set timeout
     req.setTimeout(60000); // 60s
     res.setTimeout(60000);
     
     const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Server processing timeout')), 55000);
+      timeoutId = setTimeout(() => reject(new ProviderTimeoutError('Server processing timeout')), 55000);
     });
     
-    const chatPromise = ragSystem.chatWithMemory(message);
+    const chatPromise = ragSystem.chatWithMemory(message, conversation, prompt);
     
     const response = await Promise.race([chatPromise, timeoutPromise]);
     
-    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-    console.log(`✅ Chat Response Success (Time: ${duration}s)`);
-    console.log(`📝 Response Content: ${response.substring(0, 100)}...`);
-    
-    res.json({ response });
+    res.json({ response, conversationId: conversation.id });
   } catch (error) {
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-    console.error(`❌ Chat Error (Time: ${duration}s):`, error.message);
-    console.error('Full Stack:', error.stack);
+    logger.warn("Chat failed", { durationMs: Date.now() - startTime, error });
     
-    let errorMessage = error.message;
-    let statusCode = 500;
-    
-    if (error.message.includes('timeout') || error.message.includes('ETIMEDOUT') || error.message.includes('超时')) {
-      errorMessage = `Request timed out (${duration}s). Causes:\n1. Gemini API slow\n2. Network issues\n3. Quota full\n\nSuggestion: Wait 1-2 mins and retry`;
-      statusCode = 504;
-    } else if (error.message.includes('API key')) {
-      errorMessage = 'API Key invalid or missing';
-      statusCode = 401;
-    } else if (error.message.includes('quota') || error.message.includes('429')) {
-      errorMessage = 'API Quota Exceeded (15 req/min). Please wait 1 minute.';
-      statusCode = 429;
-    } else if (error.message.includes('rate limit')) {
-      errorMessage = 'Too many requests, please retry later';
-      statusCode = 429;
-    } else if (error.message.includes('ECONNREFUSED')) {
-      errorMessage = 'Cannot connect to Gemini API, check network';
-      statusCode = 503;
+    sendLLMError(res, mapLLMError(error, duration));
+  } finally {
+    clearTimeout(timeoutId);
+  }
+});
+
+// Chat (With Memory, Streaming)
+app.post("/api/chat/stream", withSession, async (req, res) => {
+  const { message } = req.body;
+  if (typeof message !== "string" || !message.trim()) {
+    return res.status(400).json({ error: "Please provide message content" });
+  }
+  const conversation = resolveConversation(req, res);
+  if (!conversation) return;
+  const prompt = readPromptOptions(req, res, "chat");
+  if (!prompt) return;
+
+  await streamResponse(res, 'Chat', async (options) => ({
+    response: await ragSystem.chatWithMemory(message, conversation, { ...options, ...prompt }),
+    conversationId: conversation.id,
+  }));
+});
+
+// Chat With Documents (Conversational RAG)
+app.post("/api/chat/rag", withSession, async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { message } = req.body;
+    if (typeof message !== "string" || !message.trim()) {
+      return res.status(400).json({ error: "Please provide message content" });
     }
-    
-    res.status(statusCode).json({ error: errorMessage });
+    const conversation = resolveConversation(req, res);
+    if (!conversation) return;
+    const prompt = readPromptOptions(req, res, "chat-documents");
+    if (!prompt) return;
+
+    const result = await ragSystem.chatWithDocuments(message, conversation, { ...prompt, workspace: req.workspace });
+    res.json({ ...result, conversationId: conversation.id });
+  } catch (error) {
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    logger.warn("Document chat failed", { durationMs: Date.now() - startTime, error });
+
+    sendLLMError(res, mapLLMError(error, duration));
   }
 });
 
+// Chat With Documents (Streaming)
+app.post("/api/chat/rag/stream", withSession, async (req, res) => {
+  const { message } = req.body;
+  if (typeof message !== "string" || !message.trim()) {
+    return res.status(400).json({ error: "Please provide message content" });
+  }
+  const conversation = resolveConversation(req, res);
+  if (!conversation) return;
+  const prompt = readPromptOptions(req, res, "chat-documents");
+  if (!prompt) return;
+
+  await streamResponse(res, 'Document Chat', async (options) => ({
+    ...await ragSystem.chatWithDocuments(message, conversation, { ...options, ...prompt, workspace: req.workspace }),
+    conversationId: conversation.id,
+  }));
+});
+
 // Get Memory
-app.get("/api/memory", async (req, res) => {
+app.get("/api/memory", withSession, async (req, res) => {
   try {
-    console.log('\n👁️  View Memory Request');
-    
-    const memory = await ragSystem.getMemory();
-    console.log('Memory Data:', JSON.stringify(memory, null, 2));
+    const conversation = resolveConversation(req, res);
+    if (!conversation) return;
+
+    const memory = await ragSystem.getMemory(conversation);
     
     const formattedMemory = {
       history: (memory.history || []).map((msg, index) => {
         try {
+          const { timestamp, mode, latencyMs, citations } = toTranscriptMessage(msg);
           return {
             index: index + 1,
             type: msg._getType ? msg._getType() : (msg.type || 'unknown'),
             content: msg.content || msg.text || '',
-            timestamp: new Date().toISOString()
+            citations,
+            timestamp,
+            mode,
+            latencyMs,
           };
         } catch (e) {
-          console.error('Format message failed:', e);
+          logger.warn("Cannot format memory message", { error: e });
           return {
             index: index + 1,
             type: 'error',
@@ -555,29 +2308,150 @@ app.get("/api/memory", async (req, res) => {
           };
         }
       }),
-      total: memory.history?.length || 0
+      total: memory.history?.length || 0,
+      conversationId: conversation.id,
+      // Older messages rolled into the running summary (the first
+      // `summary.messages` of the history)
+      summary: conversation.summary || null,
+      strategy: ragSystem.memory.strategy,
+      tokenBudget: ragSystem.memory.tokenBudget,
     };
     
-    console.log(`✅ Returning ${formattedMemory.total} memory items`);
     res.json(formattedMemory);
   } catch (error) {
-    console.error('❌ Get Memory Error:', error);
+    logger.error("Get memory failed", { error });
     res.status(500).json({ error: error.message });
   }
 });
 
 // Clear Memory
-app.delete("/api/memory", async (req, res) => {
+app.delete("/api/memory", withSession, async (req, res) => {
+  try {
+    const conversation = resolveConversation(req, res);
+    if (!conversation) return;
+
+    await ragSystem.clearMemory(conversation);
+    res.json({ success: true, message: "Memory cleared", conversationId: conversation.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List Conversations
+app.get("/api/conversations", withSession, (req, res) => {
+  const conversations = sessionStore.listConversations(req.session);
+  res.json({ conversations, total: conversations.length });
+});
+
+// A conversation title trimmed, or null unless it is a non-empty string of
+// at most MAX_TITLE_LENGTH characters
+const MAX_TITLE_LENGTH = 200;
+function conversationTitle(title) {
+  const trimmed = typeof title === "string" ? title.trim() : "";
+  return trimmed && trimmed.length <= MAX_TITLE_LENGTH ? trimmed : null;
+}
+
+// Create Conversation
+app.post("/api/conversations", withSession, (req, res) => {
+  const title = req.body?.title;
+  if (title !== undefined && !conversationTitle(title)) {
+    return res.status(400).json({ error: `title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters` });
+  }
+  const conversation = sessionStore.createConversation(req.session, title && conversationTitle(title));
+  res.status(201).json({
+    id: conversation.id,
+    title: conversation.title,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+  });
+});
+
+// Rename Conversation
+app.patch("/api/conversations/:id", withSession, (req, res) => {
+  const title = conversationTitle(req.body?.title);
+  if (!title) {
+    return res.status(400).json({ error: `Please provide a title of at most ${MAX_TITLE_LENGTH} characters` });
+  }
+  const conversation = sessionStore.renameConversation(req.session, req.params.id, title);
+  if (!conversation) {
+    return res.status(404).json({ error: "Conversation not found" });
+  }
+  res.json({ success: true, id: conversation.id, title: conversation.title });
+});
+
+// Export Conversation as JSON (can be imported again) or a Markdown transcript
+app.get("/api/conversations/:id/export", withSession, async (req, res) => {
   try {
-    await ragSystem.clearMemory();
-    res.json({ success: true, message: "Memory cleared" });
+    const format = req.query.format || "json";
+    if (!TRANSCRIPT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Unknown format. Use one of: ${TRANSCRIPT_FORMATS.join(", ")}` });
+    }
+    const conversation = req.session.conversations.get(req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    const transcript = await exportTranscript(conversation);
+    const basename = `conversation-${conversation.id}`;
+    if (format === "markdown") {
+      res.attachment(`${basename}.md`);
+      return res.type("text/markdown").send(transcriptToMarkdown(transcript));
+    }
+    res.attachment(`${basename}.json`);
+    res.json(transcript);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Import Conversation from a JSON transcript; it becomes the active
+// conversation, so chat continues where the transcript left off
+app.post("/api/conversations/import", withSession, async (req, res) => {
+  try {
+    const transcript = parseTranscript(req.body?.transcript ?? req.body);
+    const conversation = await sessionStore.importConversation(req.session, transcript);
+    logger.info("Imported conversation", { conversationId: conversation.id, messages: transcript.messages.length });
+    res.status(201).json({
+      id: conversation.id,
+      title: conversation.title,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      messages: transcript.messages.length,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Delete Conversation
+app.delete("/api/conversations/:id", withSession, (req, res) => {
+  if (!sessionStore.deleteConversation(req.session, req.params.id)) {
+    return res.status(404).json({ error: "Conversation not found" });
+  }
+  res.json({ success: true, message: "Conversation deleted" });
+});
+
+// Error handling middleware (registered last so it sees errors from routes and multer)
+app.use((err, req, res, next) => {
+  const status = err.status || (err instanceof multer.MulterError ? 400 : 500);
+  logger.log(status >= 500 ? "error" : "warn", "Request failed", { error: err });
+  res.status(status).json({ 
+    error: err.message || 'Internal Server Error',
+    details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+  });
+});
+
+// Only listen when started directly; tests import the app instead
+const isMainModule = process.argv[1] && path.resolve(process.argv[1]) === __filename;
+
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, '0.0.0.0', () => {
+if (isMainModule) app.listen(PORT, '0.0.0.0', () => {
+  // JSON logs go to a collector, where a banner would only be noise
+  if (logger.format !== "text") {
+    logger.info("Server started", { port: Number(PORT), llm: ragSystem.llmName, embeddings: ragSystem.embeddingName, apiKeyConfigured });
+    return;
+  }
+
   const isCodespace = process.env.CODESPACE_NAME;
   const isGitpod = process.env.GITPOD_WORKSPACE_URL;
   
@@ -598,11 +2472,15 @@ app.listen(PORT, '0.0.0.0', () => {
   
   console.log(`║                                                        ║
 ║  ✅ Server Status: Running                              ║
-║  ${process.env.GOOGLE_API_KEY && process.env.GOOGLE_API_KEY !== 'your_gemini_api_key_here' ? '✅ API Key: Configured' : '❌ API Key: Not Configured'}                             ║
+║  ${apiKeyConfigured ? '✅ API Key: Configured' : '❌ API Key: Not Configured'}                             ║
+║  🤖 LLM: ${ragSystem.llmName}
+║  🧮 Embeddings: ${ragSystem.embeddingName}
 ╚════════════════════════════════════════════════════════╝
   `);
   
-  if (!process.env.GOOGLE_API_KEY || process.env.GOOGLE_API_KEY === 'your_gemini_api_key_here') {
+  if (!apiKeyConfigured) {
     console.log('\n⚠️  Please configure GOOGLE_API_KEY before use\n');
   }
-});
\ No newline at end of file
+});
+
+export { app, ragSystem, sessionStore, jobStore, RETRIEVAL_MODES };
@@ -0,0 +1,201 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { AuthStore, authSettings } from "../lib/auth.js";
+import { startServer, request, ingestFixture, uploadFixture } from "./helpers.js";
+
+test("users and API keys are read from the environment", () => {
+  const settings = authSettings({ AUTH_USERS: "alice:secret:team-a, bob:pw", API_KEYS: "key-a:team-a,key-x" });
+  assert.equal(settings.enabled, true);
+  assert.deepEqual(settings.users, [
+    { username: "alice", password: "secret", workspace: "team-a" },
+    { username: "bob", password: "pw", workspace: "bob" },
+  ]);
+  assert.deepEqual(settings.apiKeys, [{ key: "key-a", workspace: "team-a" }, { key: "key-x", workspace: "default" }]);
+  assert.equal(authSettings({}).enabled, false);
+});
+
+test("login tokens expire and API keys can be revoked", async () => {
+  const store = new AuthStore({ enabled: true, users: [{ username: "alice", password: "secret", workspace: "team-a" }], sessionTtlMs: 1000 });
+  assert.equal(await store.login("alice", "wrong"), null);
+  assert.equal(await store.login("nobody", "secret"), null);
+
+  const { token, principal } = await store.login("alice", "secret");
+  assert.deepEqual(store.authenticate(token), principal);
+  assert.equal(store.authenticate(token, Date.now() + 2000), null);
+
+  const apiKey = await store.createApiKey(principal, "ci");
+  assert.equal(apiKey.hash, undefined);
+  assert.equal(store.authenticate(apiKey.key).workspace, "team-a");
+  assert.equal(await store.revokeApiKey("team-b", apiKey.id), null);
+  await store.revokeApiKey("team-a", apiKey.id);
+  assert.equal(store.authenticate(apiKey.key), null);
+});
+
+test("login attempts are throttled per user and per address", async () => {
+  const store = new AuthStore({ enabled: true, users: [{ username: "alice", password: "secret" }], maxLoginAttempts: 2, loginWindowMs: 1000 });
+  const now = Date.now();
+  assert.equal(await store.login("alice", "wrong", { ip: "10.0.0.1", now }), null);
+  assert.equal(await store.login("alice", "wrong", { ip: "10.0.0.2", now }), null);
+  await assert.rejects(store.login("alice", "secret", { ip: "10.0.0.3", now }), { status: 429, code: "rate_limited", retryAfter: 1 });
+
+  assert.equal(await store.login("bob", "wrong", { ip: "10.0.0.1", now }), null);
+  await assert.rejects(store.login("carol", "wrong", { ip: "10.0.0.1", now }), { status: 429 });
+
+  // The window passes, and logging in resets the user's count
+  store.sweep(now + 1000);
+  assert.equal(store.loginAttempts.size, 0);
+  assert.ok(await store.login("alice", "secret", { ip: "10.0.0.3", now: now + 1000 }));
+  assert.ok(await store.login("alice", "secret", { ip: "10.0.0.4", now: now + 1000 }));
+  assert.ok(await store.login("alice", "secret", { ip: "10.0.0.5", now: now + 1000 }));
+});
+
+test.describe("authenticated API", () => {
+  let ctx;
+  const teamA = { "X-API-Key": "key-a" };
+  const teamB = { Authorization: "Bearer key-b" };
+
+  before(async () => {
+    process.env.AUTH_USERS = "alice:secret:team-a";
+    process.env.API_KEYS = "key-a:team-a,key-b:team-b";
+    process.env.CORS_ORIGINS = "https://app.example.com";
+    ctx = await startServer();
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  test("requests without credentials are rejected, health stays public", async () => {
+    const documents = await request(ctx.baseUrl, "/api/documents");
+    assert.equal(documents.status, 401);
+    assert.equal(documents.body.code, "unauthorized");
+    assert.match(documents.headers.get("www-authenticate"), /Bearer/);
+
+    const wrongKey = await request(ctx.baseUrl, "/api/documents", { headers: { "X-API-Key": "nope" } });
+    assert.equal(wrongKey.status, 401);
+
+    const health = await request(ctx.baseUrl, "/api/health");
+    assert.equal(health.status, 200);
+    assert.equal(health.body.auth, true);
+  });
+
+  test("logging in sets a cookie that authenticates the UI", async () => {
+    const wrong = await request(ctx.baseUrl, "/api/auth/login", { method: "POST", body: { username: "alice", password: "nope" } });
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.body.code, "invalid_credentials");
+
+    const login = await request(ctx.baseUrl, "/api/auth/login", { method: "POST", body: { username: "alice", password: "secret" } });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.user.workspace, "team-a");
+    const cookie = login.headers.get("set-cookie").split(";")[0];
+    assert.match(login.headers.get("set-cookie"), /HttpOnly/);
+
+    const me = await request(ctx.baseUrl, "/api/auth/me", { headers: { Cookie: cookie } });
+    assert.deepEqual(me.body, { authEnabled: true, authenticated: true, user: { type: "user", name: "alice", workspace: "team-a" } });
+
+    await request(ctx.baseUrl, "/api/auth/logout", { method: "POST", headers: { Cookie: cookie } });
+    const afterLogout = await request(ctx.baseUrl, "/api/auth/me", { headers: { Cookie: cookie } });
+    assert.equal(afterLogout.body.authenticated, false);
+  });
+
+  test("workspaces only see and query their own documents", async () => {
+    const guide = (await ingestFixture(ctx.baseUrl, "guide.md", {
+      field: "file",
+      type: "text/markdown",
+      route: "/api/upload",
+      headers: teamA,
+    })).result.info;
+
+    const listA = await request(ctx.baseUrl, "/api/documents", { headers: teamA });
+    const listB = await request(ctx.baseUrl, "/api/documents", { headers: teamB });
+    assert.deepEqual(listA.body.documents.map(doc => doc.id), [guide.documentId]);
+    assert.equal(listB.body.total, 0);
+
+    const queryB = await request(ctx.baseUrl, "/api/rag/query", { method: "POST", headers: teamB, body: { query: "pump" } });
+    assert.equal(queryB.status, 409);
+    assert.equal(queryB.body.error, "Please upload a PDF or load documents first!");
+    const filteredB = await request(ctx.baseUrl, "/api/rag/query", {
+      method: "POST",
+      headers: teamB,
+      body: { query: "pump", filters: { documentIds: [guide.documentId] } },
+    });
+    assert.notEqual(filteredB.status, 200);
+
+    const queryA = await request(ctx.baseUrl, "/api/rag/query", { method: "POST", headers: teamA, body: { query: "pump" } });
+    assert.equal(queryA.status, 200);
+    assert.ok(queryA.body.citations.length > 0);
+
+    const deleteB = await request(ctx.baseUrl, `/api/documents/${guide.documentId}`, { method: "DELETE", headers: teamB });
+    assert.equal(deleteB.status, 404);
+    assert.equal(ctx.ragSystem.documents.size, 1);
+  });
+
+  test("the same file is indexed again for another workspace, whose job only it sees", async () => {
+    const upload = await uploadFixture(ctx.baseUrl, "guide.md", {
+      field: "file",
+      type: "text/markdown",
+      route: "/api/upload",
+      headers: teamB,
+    });
+    assert.equal(upload.status, 202);
+
+    const jobB = await request(ctx.baseUrl, `/api/jobs/${upload.body.jobId}`, { headers: teamB });
+    const jobA = await request(ctx.baseUrl, `/api/jobs/${upload.body.jobId}`, { headers: teamA });
+    assert.equal(jobB.status, 200);
+    assert.equal(jobA.status, 404);
+  });
+
+  test("conversations with the same session id are separate per workspace", async () => {
+    await request(ctx.baseUrl, "/api/conversations", { method: "POST", headers: { ...teamA, "X-Session-Id": "shared-session" }, body: { title: "A" } });
+
+    const listA = await request(ctx.baseUrl, "/api/conversations", { headers: { ...teamA, "X-Session-Id": "shared-session" } });
+    const listB = await request(ctx.baseUrl, "/api/conversations", { headers: { ...teamB, "X-Session-Id": "shared-session" } });
+    assert.ok(listA.body.conversations.some(conversation => conversation.title === "A"));
+    assert.ok(!listB.body.conversations.some(conversation => conversation.title === "A"));
+  });
+
+  test("logged-in users create, list and revoke API keys", async () => {
+    const denied = await request(ctx.baseUrl, "/api/auth/keys", { method: "POST", headers: teamA, body: { name: "ci" } });
+    assert.equal(denied.status, 403);
+
+    const login = await request(ctx.baseUrl, "/api/auth/login", { method: "POST", body: { username: "alice", password: "secret" } });
+    const cookie = { Cookie: login.headers.get("set-cookie").split(";")[0] };
+
+    const created = await request(ctx.baseUrl, "/api/auth/keys", { method: "POST", headers: cookie, body: { name: "ci" } });
+    assert.equal(created.status, 201);
+    assert.match(created.body.key, /^rag_/);
+    const newKey = { "X-API-Key": created.body.key };
+
+    const documents = await request(ctx.baseUrl, "/api/documents", { headers: newKey });
+    assert.equal(documents.body.total, 1);
+
+    const listed = await request(ctx.baseUrl, "/api/auth/keys", { headers: teamA });
+    assert.deepEqual(listed.body.keys.map(key => key.name), ["ci"]);
+    assert.equal(listed.body.keys[0].key, undefined);
+    const otherWorkspace = await request(ctx.baseUrl, "/api/auth/keys", { headers: teamB });
+    assert.equal(otherWorkspace.body.total, 0);
+
+    const revokeB = await request(ctx.baseUrl, `/api/auth/keys/${created.body.id}`, { method: "DELETE", headers: teamB });
+    assert.equal(revokeB.status, 404);
+    const revoked = await request(ctx.baseUrl, `/api/auth/keys/${created.body.id}`, { method: "DELETE", headers: cookie });
+    assert.equal(revoked.status, 200);
+    assert.equal((await request(ctx.baseUrl, "/api/documents", { headers: newKey })).status, 401);
+  });
+
+  test("only allowlisted origins get CORS headers", async () => {
+    const allowed = await fetch(`${ctx.baseUrl}/api/health`, { headers: { Origin: "https://app.example.com" } });
+    assert.equal(allowed.headers.get("access-control-allow-origin"), "https://app.example.com");
+    assert.equal(allowed.headers.get("access-control-allow-credentials"), "true");
+
+    const other = await fetch(`${ctx.baseUrl}/api/health`, { headers: { Origin: "https://evil.example.com" } });
+    assert.equal(other.headers.get("access-control-allow-origin"), null);
+  });
+
+  test("allowlisted origins may switch prompt versions (PUT preflight)", async () => {
+    const preflight = await fetch(`${ctx.baseUrl}/api/prompts/chat/active`, {
+      method: "OPTIONS",
+      headers: { Origin: "https://app.example.com", "Access-Control-Request-Method": "PUT" },
+    });
+    assert.match(preflight.headers.get("access-control-allow-methods"), /\bPUT\b/);
+  });
+});
@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BM25Index, tokenize, reciprocalRankFusion } from "../lib/bm25.js";
+
+test("tokenize keeps compound terms whole and split", () => {
+  assert.deepEqual(tokenize("Error E42 on part P-101, v2.5"), ["error", "e42", "on", "part", "p-101", "p", "101", "v2.5", "v2", "5"]);
+});
+
+test("BM25 ranks rare matching terms first and skips non-matching entries", () => {
+  const index = new BM25Index();
+  index.add("0", "the pump and the pump housing");
+  index.add("1", "error code E42 on the pump");
+  index.add("2", "warranty terms");
+
+  const results = index.search("E42 pump", 5);
+  assert.deepEqual(results.map(result => result.label), ["1", "0"]);
+  assert.ok(results[0].score > results[1].score);
+});
+
+test("removing an entry updates the statistics", () => {
+  const index = new BM25Index();
+  index.add("0", "seal kit");
+  index.add("1", "seal kit large");
+  index.remove("1");
+
+  assert.equal(index.size, 1);
+  assert.equal(index.totalLength, 2);
+  assert.deepEqual(index.search("large", 5), []);
+  assert.equal(index.documentFrequencies.get("seal"), 1);
+});
+
+test("reciprocal rank fusion favours labels ranked well in both lists", () => {
+  const fused = reciprocalRankFusion([
+    [{ label: "a" }, { label: "b" }, { label: "c" }],
+    [{ label: "b" }, { label: "d" }],
+  ]);
+  assert.equal(fused[0].label, "b");
+  assert.deepEqual(fused.map(entry => entry.label).sort(), ["a", "b", "c", "d"]);
+  assert.ok(Math.abs(fused[0].score - (1 / 62 + 1 / 61)) < 1e-12);
+});
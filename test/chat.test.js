@@ -0,0 +1,240 @@
+import { test, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { ChatGenerationChunk } from "@langchain/core/outputs";
+import { AIMessageChunk } from "@langchain/core/messages";
+import { FakeChatModel } from "../lib/providers.js";
+import { startServer, request, streamEvents } from "./helpers.js";
+
+let ctx;
+let defaultLLM;
+
+const session = (id) => ({ "X-Session-Id": id });
+
+before(async () => {
+  ctx = await startServer();
+  defaultLLM = ctx.ragSystem.llm;
+});
+
+afterEach(() => {
+  ctx.ragSystem.llm = defaultLLM;
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+test("POST /api/chat requires a message", async () => {
+  for (const route of ["/api/chat", "/api/chat/stream", "/api/chat/rag", "/api/chat/rag/stream"]) {
+    for (const message of [undefined, 42, ["hi"]]) {
+      const { status, body } = await request(ctx.baseUrl, route, { method: "POST", body: { message } });
+      assert.equal(status, 400);
+      assert.equal(body.error, "Please provide message content");
+    }
+  }
+});
+
+test("POST /api/chat answers and remembers the conversation", async () => {
+  const { status, body } = await request(ctx.baseUrl, "/api/chat", {
+    method: "POST",
+    body: { message: "Hello there" },
+    headers: session("session-alice"),
+  });
+  assert.equal(status, 200);
+  assert.equal(body.response, "This is a fake response to: Hello there");
+  assert.ok(body.conversationId);
+
+  const memory = await request(ctx.baseUrl, "/api/memory", { headers: session("session-alice") });
+  assert.equal(memory.status, 200);
+  assert.equal(memory.body.total, 2);
+  assert.equal(memory.body.conversationId, body.conversationId);
+  assert.deepEqual(memory.body.history.map(msg => msg.type), ["human", "ai"]);
+  assert.equal(memory.body.history[0].content, "Hello there");
+});
+
+test("memory is scoped to the caller's session", async () => {
+  const other = await request(ctx.baseUrl, "/api/memory", { headers: session("session-bob") });
+  assert.equal(other.body.total, 0);
+
+  const cleared = await request(ctx.baseUrl, "/api/memory", { method: "DELETE", headers: session("session-bob") });
+  assert.equal(cleared.status, 200);
+
+  const alice = await request(ctx.baseUrl, "/api/memory", { headers: session("session-alice") });
+  assert.equal(alice.body.total, 2);
+});
+
+test("a session cookie is issued when the client has none", async () => {
+  const response = await fetch(`${ctx.baseUrl}/api/conversations`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("set-cookie"), /sessionId=[\w-]+; Path=\/; HttpOnly; SameSite=Lax/);
+});
+
+test("conversations can be created, renamed and deleted", async () => {
+  const headers = session("session-carol");
+
+  const created = await request(ctx.baseUrl, "/api/conversations", {
+    method: "POST",
+    body: { title: "Pumps" },
+    headers,
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.title, "Pumps");
+
+  const renamed = await request(ctx.baseUrl, `/api/conversations/${created.body.id}`, {
+    method: "PATCH",
+    body: { title: "Pump questions" },
+    headers,
+  });
+  assert.equal(renamed.status, 200);
+  assert.equal(renamed.body.title, "Pump questions");
+
+  for (const title of [" ", 7, { x: 1 }, "x".repeat(201)]) {
+    const invalid = await request(ctx.baseUrl, `/api/conversations/${created.body.id}`, { method: "PATCH", body: { title }, headers });
+    assert.equal(invalid.status, 400);
+    const invalidCreate = await request(ctx.baseUrl, "/api/conversations", { method: "POST", body: { title }, headers });
+    assert.equal(invalidCreate.status, 400);
+  }
+
+  const listed = await request(ctx.baseUrl, "/api/conversations", { headers });
+  assert.equal(listed.body.total, 1);
+  assert.equal(listed.body.conversations[0].active, true);
+
+  // Other sessions cannot see or touch it
+  const foreign = await request(ctx.baseUrl, `/api/conversations/${created.body.id}`, {
+    method: "DELETE",
+    headers: session("session-alice"),
+  });
+  assert.equal(foreign.status, 404);
+
+  const deleted = await request(ctx.baseUrl, `/api/conversations/${created.body.id}`, { method: "DELETE", headers });
+  assert.equal(deleted.status, 200);
+
+  const memory = await request(ctx.baseUrl, `/api/memory?conversationId=${created.body.id}`, { headers });
+  assert.equal(memory.status, 404);
+});
+
+test("POST /api/chat/stream streams the reply", async () => {
+  const { events } = await streamEvents(ctx.baseUrl, "/api/chat/stream", { message: "Stream please" }, session("session-dave"));
+  const tokens = events.filter(e => e.event === "token").map(e => e.data.text).join("");
+  const done = events.find(e => e.event === "done");
+  assert.equal(tokens, "This is a fake response to: Stream please");
+  assert.equal(done.data.response, tokens);
+});
+
+test("provider failures in the middle of a stream keep their code", async () => {
+  ctx.ragSystem.llm = new FakeChatModel();
+  ctx.ragSystem.llm._streamResponseChunks = async function* () {
+    yield new ChatGenerationChunk({ text: "Partial ", message: new AIMessageChunk("Partial ") });
+    throw new Error("[503 Service Unavailable] The model is overloaded.");
+  };
+
+  const { events } = await streamEvents(ctx.baseUrl, "/api/chat/stream", { message: "Hi" }, session("session-broken"));
+  assert.equal(events.find(e => e.event === "token").data.text, "Partial ");
+  const error = events.find(e => e.event === "error");
+  assert.equal(error.data.code, "provider_unavailable");
+});
+
+test("POST /api/chat/rag condenses follow-ups and keeps citations", async () => {
+  await request(ctx.baseUrl, "/api/documents", {
+    method: "POST",
+    body: { documents: ["Error code E42 means the pressure sensor is disconnected."] },
+  });
+  const headers = session("session-erin");
+
+  const first = await request(ctx.baseUrl, "/api/chat/rag", {
+    method: "POST",
+    body: { message: "What does E42 mean?" },
+    headers,
+  });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.standaloneQuestion, "What does E42 mean?");
+  assert.ok(first.body.citations.length > 0);
+
+  const followUp = await request(ctx.baseUrl, "/api/chat/rag", {
+    method: "POST",
+    body: { message: "How do I fix it?" },
+    headers,
+  });
+  assert.equal(followUp.status, 200);
+  // The fake model answers the condense prompt, so the question is rewritten
+  assert.notEqual(followUp.body.standaloneQuestion, "How do I fix it?");
+
+  const memory = await request(ctx.baseUrl, "/api/memory", { headers });
+  assert.equal(memory.body.total, 4);
+  assert.ok(memory.body.history[1].citations.length > 0);
+});
+
+// Provider errors and the status codes /api/chat maps them to
+const errorCases = [
+  ["timeouts", "Request timeout after 30000ms", 504],
+  ["quota errors", "[429 Too Many Requests] You exceeded your current quota", 429],
+  ["rate limits", "rate limit reached", 429],
+  ["bad API keys", "[400 Bad Request] API key not valid. Please pass a valid API key.", 401],
+  ["refused connections", "connect ECONNREFUSED 127.0.0.1:443", 503],
+  ["other errors", "Something unexpected", 500],
+];
+
+for (const [name, message, expectedStatus] of errorCases) {
+  test(`POST /api/chat maps ${name} to ${expectedStatus}`, async () => {
+    ctx.ragSystem.llm = new FakeChatModel({
+      respond: () => { throw new Error(message); },
+    });
+
+    const { status, body } = await request(ctx.baseUrl, "/api/chat", {
+      method: "POST",
+      body: { message: "Hi" },
+      headers: session("session-errors"),
+    });
+    assert.equal(status, expectedStatus);
+    assert.ok(body.error);
+  });
+}
+
+test("POST /api/chat reports bugs as internal errors, not provider errors", async () => {
+  ctx.ragSystem.llm = new FakeChatModel({
+    respond: () => { throw new TypeError("text.toLowerCase is not a function"); },
+  });
+
+  const { status, body } = await request(ctx.baseUrl, "/api/chat", {
+    method: "POST",
+    body: { message: "Hi" },
+    headers: session("session-errors"),
+  });
+  assert.equal(status, 500);
+  assert.equal(body.code, "internal_error");
+});
+
+test("POST /api/chat retries transient provider failures", async () => {
+  let calls = 0;
+  ctx.ragSystem.llm = new FakeChatModel({
+    respond: () => {
+      calls++;
+      if (calls === 1) throw new Error("[503 Service Unavailable] The model is overloaded.");
+      return "Recovered";
+    },
+  });
+
+  const { status, body } = await request(ctx.baseUrl, "/api/chat", {
+    method: "POST",
+    body: { message: "Hi" },
+    headers: session("session-retry"),
+  });
+  assert.equal(status, 200);
+  assert.equal(body.response, "Recovered");
+  assert.equal(calls, 2);
+});
+
+test("rate limited chats answer 429 with Retry-After", async () => {
+  ctx.ragSystem.llm = new FakeChatModel({
+    respond: () => { throw new Error("[429 Too Many Requests] Quota exceeded. Please retry in 2s."); },
+  });
+
+  const { status, headers, body } = await request(ctx.baseUrl, "/api/chat", {
+    method: "POST",
+    body: { message: "Hi" },
+    headers: session("session-retry-after"),
+  });
+  assert.equal(status, 429);
+  assert.equal(headers.get("retry-after"), "2");
+  assert.equal(body.code, "rate_limited");
+  assert.equal(body.retryAfter, 2);
+});
@@ -0,0 +1,155 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { chunkSections, lengthFunction, parseChunkingOptions, DEFAULT_CHUNKING } from "../lib/chunking.js";
+import { startServer, request, uploadFixture, ingestFixture } from "./helpers.js";
+
+const sentences = "The pump starts. It builds pressure in ten seconds! Is the valve open? Check the gauge. Then close the lid.";
+
+test("chunking options default to 1000/200 characters, recursive", () => {
+  assert.deepEqual(parseChunkingOptions(undefined), DEFAULT_CHUNKING);
+  assert.deepEqual(parseChunkingOptions('{"size": 300, "overlap": 0, "strategy": "sentence"}'), {
+    strategy: "sentence",
+    unit: "characters",
+    size: 300,
+    overlap: 0,
+  });
+});
+
+test("invalid chunking options are rejected with status 400", () => {
+  for (const [value, message] of [
+    ["{", /valid JSON/],
+    [[], /must be an object/],
+    [{ strategy: "paragraph" }, /Unknown chunking strategy/],
+    [{ unit: "words" }, /Unknown chunking unit/],
+    [{ size: 0 }, /chunking.size/],
+    [{ size: 100, overlap: 100 }, /chunking.overlap/],
+  ]) {
+    assert.throws(() => parseChunkingOptions(value), (error) => error.status === 400 && message.test(error.message));
+  }
+});
+
+test("sentence chunking never cuts a sentence and overlaps whole sentences", async () => {
+  const chunks = await chunkSections([{ text: sentences, metadata: {} }], { strategy: "sentence", unit: "characters", size: 45, overlap: 20 });
+
+  assert.deepEqual(chunks, [
+    "The pump starts.",
+    "It builds pressure in ten seconds!",
+    "Is the valve open? Check the gauge.",
+    "Check the gauge. Then close the lid.",
+  ]);
+});
+
+test("section chunking keeps whole sections together up to the size", async () => {
+  const sections = [
+    { text: "# Install\nMount the pump.", metadata: {} },
+    { text: "# Wiring\nConnect the cable.", metadata: {} },
+    { text: "# Errors\nE42 means the sensor is loose.", metadata: {} },
+  ];
+  const chunks = await chunkSections(sections, { strategy: "section", unit: "characters", size: 60, overlap: 0 });
+
+  assert.deepEqual(chunks, [
+    "# Install\nMount the pump.\n\n# Wiring\nConnect the cable.",
+    "# Errors\nE42 means the sensor is loose.",
+  ]);
+});
+
+test("token units measure chunks in tokens", async () => {
+  const text = Array.from({ length: 200 }, (_, i) => `word${i}`).join(" ");
+  const chunks = await chunkSections([{ text, metadata: {} }], { strategy: "recursive", unit: "tokens", size: 50, overlap: 10 });
+  const countTokens = lengthFunction("tokens");
+
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every(chunk => countTokens(chunk) <= 50));
+  assert.ok(chunks.some(chunk => chunk.length > 50));
+});
+
+test.describe("chunking API", () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startServer();
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  test("preview returns the chunks of a file without indexing it", async () => {
+    const { status, body } = await uploadFixture(ctx.baseUrl, "guide.md", {
+      field: "file",
+      type: "text/markdown",
+      route: "/api/chunks/preview",
+      fields: { chunking: JSON.stringify({ strategy: "section", size: 200, overlap: 0 }) },
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.filename, "guide.md");
+    assert.equal(body.type, "markdown");
+    assert.deepEqual(body.chunking, { strategy: "section", unit: "characters", size: 200, overlap: 0 });
+    assert.equal(body.stats.chunks, body.chunks.length);
+    assert.ok(body.stats.maxLength <= 200);
+    assert.ok(body.chunks.some(chunk => chunk.metadata.heading === "Pump guide > Troubleshooting > Error E42"));
+    assert.ok(body.chunks.every((chunk, i) => chunk.index === i && chunk.length === chunk.text.length));
+    assert.equal(ctx.ragSystem.documents.size, 0);
+  });
+
+  test("preview of a text counts tokens", async () => {
+    const { status, body } = await request(ctx.baseUrl, "/api/chunks/preview", {
+      method: "POST",
+      body: { text: sentences, chunking: { strategy: "sentence", unit: "tokens", size: 12, overlap: 0 } },
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.type, "text");
+    assert.ok(body.chunks.length > 1);
+    assert.ok(body.chunks.every(chunk => chunk.length <= 12));
+  });
+
+  test("preview validates its input", async () => {
+    const missing = await request(ctx.baseUrl, "/api/chunks/preview", { method: "POST", body: {} });
+    assert.equal(missing.status, 400);
+    assert.match(missing.body.error, /upload a file or provide a text/);
+
+    const invalid = await request(ctx.baseUrl, "/api/chunks/preview", {
+      method: "POST",
+      body: { text: "x", chunking: { size: 10, overlap: 20 } },
+    });
+    assert.equal(invalid.status, 400);
+    assert.match(invalid.body.error, /chunking.overlap/);
+
+    const form = new FormData();
+    form.append("file", new Blob(["not a PDF at all"], { type: "application/pdf" }), "broken.pdf");
+    const response = await fetch(`${ctx.baseUrl}/api/chunks/preview`, { method: "POST", body: form });
+    const broken = await response.json();
+    assert.equal(response.status, 422);
+    assert.equal(broken.code, "unreadable_file");
+    assert.ok(broken.error);
+  });
+
+  test("uploads are chunked with their chunking options, which the document keeps", async () => {
+    const job = await ingestFixture(ctx.baseUrl, "guide.md", {
+      field: "file",
+      type: "text/markdown",
+      route: "/api/upload",
+      fields: { chunking: JSON.stringify({ strategy: "sentence", size: 80, overlap: 0 }) },
+    });
+
+    assert.equal(job.status, "completed");
+    assert.deepEqual(job.result.info.chunking, { strategy: "sentence", unit: "characters", size: 80, overlap: 0 });
+    const record = ctx.ragSystem.documents.get(job.result.info.documentId);
+    assert.equal(record.chunking.strategy, "sentence");
+    assert.ok(record.chunks > 1);
+  });
+
+  test("uploads with invalid chunking options are rejected before queueing", async () => {
+    const { status, body } = await uploadFixture(ctx.baseUrl, "notes.txt", {
+      field: "file",
+      type: "text/plain",
+      route: "/api/upload",
+      fields: { chunking: JSON.stringify({ unit: "pages" }) },
+    });
+
+    assert.equal(status, 400);
+    assert.match(body.error, /Unknown chunking unit/);
+  });
+});
@@ -0,0 +1,186 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { startServer, request, uploadFixture, ingestFixture } from "./helpers.js";
+
+let ctx;
+
+before(async () => {
+  ctx = await startServer();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+test("GET /api/health reports an empty knowledge base and the providers", async () => {
+  const { status, body } = await request(ctx.baseUrl, "/api/health");
+  assert.equal(status, 200);
+  assert.equal(body.status, "ok");
+  assert.equal(body.initialized, false);
+  assert.equal(body.pdfLoaded, false);
+  assert.equal(body.documents, 0);
+  assert.equal(body.llm, "fake:fake-chat");
+  assert.equal(body.embeddings, "fake:hash-256");
+});
+
+test("GET /api/pdf-info returns 404 before any upload", async () => {
+  const { status, body } = await request(ctx.baseUrl, "/api/pdf-info");
+  assert.equal(status, 404);
+  assert.equal(body.error, "No PDF loaded");
+});
+
+test("POST /api/upload-pdf requires a file", async () => {
+  const response = await fetch(`${ctx.baseUrl}/api/upload-pdf`, { method: "POST", body: new FormData() });
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /^Please upload a file/);
+});
+
+test("POST /api/upload-pdf rejects unsupported file types", async () => {
+  const { status, body } = await uploadFixture(ctx.baseUrl, "image.png", { type: "image/png" });
+  assert.equal(status, 400);
+  assert.equal(body.error, "Unsupported file type. Supported formats: PDF, DOCX, Markdown, HTML, CSV, TXT");
+});
+
+test("ingestion fails on PDFs without any text, even after OCR", async () => {
+  const job = await ingestFixture(ctx.baseUrl, "scanned.pdf");
+  assert.equal(job.status, "failed");
+  assert.match(job.error, /No extractable text found in PDF/);
+  assert.equal(job.result, null);
+});
+
+test("POST /api/upload-pdf indexes the PDF page by page", async () => {
+  const job = await ingestFixture(ctx.baseUrl, "manual.pdf");
+  assert.equal(job.status, "completed");
+  const body = job.result;
+  assert.equal(body.success, true);
+  assert.equal(body.info.filename, "manual.pdf");
+  assert.equal(body.info.pages, 3);
+  assert.ok(body.info.documentId);
+  assert.match(body.preview, /Pump maintenance manual/);
+
+  const info = await request(ctx.baseUrl, "/api/pdf-info");
+  assert.equal(info.status, 200);
+  assert.equal(info.body.documentId, body.info.documentId);
+
+  const chunks = ctx.ragSystem.getDocumentChunks(body.info.documentId);
+  assert.ok(chunks.length > 0);
+  assert.ok(chunks.every(doc => doc.metadata.pageStart >= 1 && doc.metadata.pageEnd <= 3));
+});
+
+test("POST /api/documents validates the document array", async () => {
+  const { status, body } = await request(ctx.baseUrl, "/api/documents", {
+    method: "POST",
+    body: { documents: "not an array" },
+  });
+  assert.equal(status, 400);
+  assert.equal(body.error, "Please provide a document array");
+
+  for (const documents of [[], [42], ["Fine.", "  "]]) {
+    const invalid = await request(ctx.baseUrl, "/api/documents", { method: "POST", body: { documents } });
+    assert.equal(invalid.status, 400);
+    assert.match(invalid.body.error, /non-empty array of non-empty strings/);
+  }
+  assert.equal(ctx.ragSystem.listDocuments().filter(doc => doc.type === "text").length, 0);
+});
+
+test("documents can be added, listed and removed", async () => {
+  const added = await request(ctx.baseUrl, "/api/documents", {
+    method: "POST",
+    body: { documents: ["LangChain is a framework.", "Gemini is a model."] },
+  });
+  assert.equal(added.status, 200);
+  assert.equal(added.body.count, 2);
+  assert.equal(added.body.document.type, "text");
+
+  const listed = await request(ctx.baseUrl, "/api/documents");
+  assert.equal(listed.status, 200);
+  assert.equal(listed.body.total, 2);
+  assert.deepEqual(listed.body.documents.map(doc => doc.type).sort(), ["pdf", "text"]);
+
+  const missing = await request(ctx.baseUrl, "/api/documents/unknown-id", { method: "DELETE" });
+  assert.equal(missing.status, 404);
+
+  const removed = await request(ctx.baseUrl, `/api/documents/${added.body.document.id}`, { method: "DELETE" });
+  assert.equal(removed.status, 200);
+  assert.equal(removed.body.document.id, added.body.document.id);
+
+  const after = await request(ctx.baseUrl, "/api/documents");
+  assert.equal(after.body.total, 1);
+  assert.equal(after.body.documents[0].source, "manual.pdf");
+});
+
+test("the registry and index are saved to the data directory", async () => {
+  const registry = JSON.parse(fs.readFileSync(path.join(ctx.dataDir, "documents.json"), "utf8"));
+  assert.equal(registry.embeddings, "fake:hash-256");
+  assert.equal(registry.documents.length, 1);
+  assert.equal(registry.currentPdfInfo.filename, "manual.pdf");
+  assert.ok(fs.existsSync(path.join(ctx.dataDir, "index", "hnswlib.index")));
+});
+
+// Uploads through /api/upload, in the "file" field
+const formats = [
+  ["guide.md", "text/markdown", "markdown"],
+  ["guide.html", "text/html", "html"],
+  ["guide.docx", "application/vnd.openxmlformats-officedocument.wordprocessingml.document", "docx"],
+  ["parts.csv", "text/csv", "csv"],
+  ["notes.txt", "text/plain", "text"],
+];
+
+for (const [filename, type, documentType] of formats) {
+  test(`POST /api/upload indexes ${documentType} files`, async () => {
+    const job = await ingestFixture(ctx.baseUrl, filename, { field: "file", type, route: "/api/upload" });
+    assert.equal(job.status, "completed");
+    const body = job.result;
+    assert.equal(body.info.filename, filename);
+    assert.equal(body.info.type, documentType);
+    assert.ok(body.info.sections >= 1);
+
+    const record = ctx.ragSystem.documents.get(body.info.documentId);
+    assert.equal(record.type, documentType);
+  });
+}
+
+test("uploads keep headings and rows in the chunk metadata", async () => {
+  const { body } = await request(ctx.baseUrl, "/api/documents");
+  const byType = Object.fromEntries(body.documents.map(doc => [doc.type, doc]));
+
+  const [markdown] = ctx.ragSystem.getDocumentChunks(byType.markdown.id);
+  assert.equal(markdown.metadata.heading, "Pump guide");
+
+  const [csv] = ctx.ragSystem.getDocumentChunks(byType.csv.id);
+  assert.equal(csv.metadata.sheet, "parts");
+  assert.equal(csv.metadata.rowStart, 1);
+  assert.equal(csv.metadata.rowEnd, 3);
+  assert.equal(byType.csv.rows, 3);
+
+  // The non-PDF uploads leave the current PDF alone
+  const info = await request(ctx.baseUrl, "/api/pdf-info");
+  assert.equal(info.body.filename, "manual.pdf");
+});
+
+test("concurrent additions and removals all reach the index", async () => {
+  const { body } = await request(ctx.baseUrl, "/api/documents");
+  const text = body.documents.find(doc => doc.type === "text");
+
+  const responses = await Promise.all([
+    request(ctx.baseUrl, "/api/documents", { method: "POST", body: { documents: ["Pumps need priming."] } }),
+    request(ctx.baseUrl, `/api/documents/${text.id}`, { method: "DELETE" }),
+    request(ctx.baseUrl, "/api/documents", { method: "POST", body: { documents: ["Valves need greasing."] } }),
+  ]);
+  assert.deepEqual(responses.map(response => response.status), [200, 200, 200]);
+
+  // Every registered chunk is in the index, and nothing else
+  ctx.ragSystem.checkIndexConsistency(ctx.ragSystem.vectorStore);
+  assert.equal(ctx.ragSystem.documents.has(text.id), false);
+});
+
+test("overlapping saves neither fail nor leave temp files behind", async () => {
+  ctx.ragSystem.embeddingCache.set("Saved while saving", [0.5, 0.5]);
+  await Promise.all([ctx.ragSystem.save(), ctx.ragSystem.save(), ctx.ragSystem.save()]);
+
+  assert.deepEqual(fs.readdirSync(ctx.dataDir).filter(file => file.endsWith(".tmp")), []);
+  const registry = JSON.parse(fs.readFileSync(path.join(ctx.dataDir, "documents.json"), "utf8"));
+  assert.equal(registry.documents.length, ctx.ragSystem.documents.size);
+});
@@ -0,0 +1,130 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { EmbeddingCache } from "../lib/embedding-cache.js";
+import { startServer, request, uploadFixture, ingestFixture } from "./helpers.js";
+
+// Embeddings stub recording every text it is asked to embed
+function countingEmbeddings() {
+  return {
+    calls: [],
+    async embedDocuments(texts) {
+      this.calls.push(...texts);
+      return texts.map(text => [text.length, 1]);
+    },
+  };
+}
+
+test("only uncached texts are embedded", async () => {
+  const cache = new EmbeddingCache({ file: "unused.json", model: "fake:hash" });
+  const embeddings = countingEmbeddings();
+
+  const first = await cache.embed(embeddings, ["alpha", "beta"]);
+  const second = await cache.embed(embeddings, ["beta", "gamma", "gamma"]);
+
+  assert.equal(first.hits, 0);
+  // The second "gamma" was not cached before the call either
+  assert.equal(second.hits, 1);
+  assert.deepEqual(embeddings.calls, ["alpha", "beta", "gamma"]);
+  assert.deepEqual(second.vectors, [[4, 1], [5, 1], [5, 1]]);
+});
+
+test("entries are keyed by model and evicted least recently used first", async () => {
+  const cache = new EmbeddingCache({ file: "unused.json", model: "a", maxEntries: 2 });
+  cache.set("one", [1]);
+  cache.set("two", [2]);
+  cache.get("one");
+  cache.set("three", [3]);
+
+  assert.deepEqual(cache.get("one"), [1]);
+  assert.equal(cache.get("two"), null);
+  assert.equal(new EmbeddingCache({ file: "unused.json", model: "b" }).key("one") === cache.key("one"), false);
+});
+
+test("the cache is saved to and loaded from its file", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "embedding-cache-"));
+  const file = path.join(dir, "cache.bin");
+  try {
+    const cache = new EmbeddingCache({ file, model: "fake:hash", maxEntries: 2 });
+    cache.set("alpha", [0.5, 0.25]);
+    await cache.save();
+    // Later saves only append the new entries
+    cache.set("beta", [1, 2]);
+    await cache.save();
+    assert.equal(fs.statSync(file).size, 2 * (2 + "fake:hash:".length + 64 + 4 + 2 * 4));
+
+    const reloaded = new EmbeddingCache({ file, model: "fake:hash", maxEntries: 2 });
+    await reloaded.load();
+    assert.deepEqual(reloaded.get("alpha"), [0.5, 0.25]);
+    assert.deepEqual(reloaded.get("beta"), [1, 2]);
+
+    // Past twice maxEntries records the file is rewritten with the live entries
+    for (const text of ["gamma", "delta", "epsilon"]) {
+      reloaded.set(text, [3, 4]);
+      await reloaded.save();
+    }
+    const compacted = new EmbeddingCache({ file, model: "fake:hash", maxEntries: 2 });
+    await compacted.load();
+    assert.equal(compacted.fileRecords, 2);
+    assert.deepEqual(compacted.get("epsilon"), [3, 4]);
+
+    // A record cut short by a crash is skipped, and the file rewritten next time
+    fs.truncateSync(file, fs.statSync(file).size - 3);
+    const recovered = new EmbeddingCache({ file, model: "fake:hash", maxEntries: 2 });
+    await recovered.load();
+    assert.equal(recovered.size, 1);
+    recovered.set("zeta", [5, 6]);
+    await recovered.save();
+    const rewritten = new EmbeddingCache({ file, model: "fake:hash", maxEntries: 2 });
+    await rewritten.load();
+    assert.equal(rewritten.size, 2);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test.describe("deduplication and cache hits", () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startServer();
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  test("uploading the same file again returns the existing document", async () => {
+    const job = await ingestFixture(ctx.baseUrl, "guide.md", { field: "file", type: "text/markdown", route: "/api/upload" });
+    assert.equal(job.result.duplicate, false);
+    assert.deepEqual(job.result.info.embeddingCache, { hits: 0, misses: job.result.info.chunks });
+
+    const { status, body } = await uploadFixture(ctx.baseUrl, "guide.md", { field: "file", type: "text/markdown", route: "/api/upload" });
+    assert.equal(status, 200);
+    assert.equal(body.duplicate, true);
+    assert.equal(body.documentId, job.result.info.documentId);
+    assert.equal(body.jobId, undefined);
+    assert.equal(ctx.ragSystem.documents.size, 1);
+  });
+
+  test("re-ingesting a deleted file reuses the cached embeddings", async () => {
+    const [record] = ctx.ragSystem.listDocuments();
+    await request(ctx.baseUrl, `/api/documents/${record.id}`, { method: "DELETE" });
+
+    const job = await ingestFixture(ctx.baseUrl, "guide.md", { field: "file", type: "text/markdown", route: "/api/upload" });
+    assert.equal(job.result.duplicate, false);
+    assert.deepEqual(job.result.info.embeddingCache, { hits: record.chunks, misses: 0 });
+  });
+
+  test("overlapping text batches only embed the new chunks", async () => {
+    await request(ctx.baseUrl, "/api/documents", { method: "POST", body: { documents: ["Pump P-7 runs at 40 bar."] } });
+    const { body } = await request(ctx.baseUrl, "/api/documents", {
+      method: "POST",
+      body: { documents: ["Pump P-7 runs at 40 bar.", "Pump P-8 runs at 60 bar."] },
+    });
+
+    assert.deepEqual(body.document.embeddingCache, { hits: 1, misses: 1 });
+  });
+});
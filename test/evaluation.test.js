@@ -0,0 +1,127 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { fileURLToPath } from "url";
+import { parseDataset, sourceRank, answerSimilarity, groundedness, runEvaluation, compareReports, renderHtmlReport } from "../lib/evaluation.js";
+import { startServer, fixturesDir } from "./helpers.js";
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+test("datasets are checked and their paths resolved", () => {
+  const dataset = parseDataset({
+    documents: [{ id: "guide", path: "docs/guide.md" }, { id: "notes", text: "Some notes." }],
+    questions: [{ question: "Where?", expectedSource: ["guide", { document: "notes", page: 2 }] }],
+  }, "/data/eval");
+  assert.equal(dataset.documents[0].path, "/data/eval/docs/guide.md");
+  assert.equal(dataset.documents[0].name, "guide.md");
+  assert.deepEqual(dataset.questions[0], {
+    id: "q1",
+    question: "Where?",
+    expectedAnswer: null,
+    expectedSources: [{ document: "guide", page: null }, { document: "notes", page: 2 }],
+  });
+
+  const rejects = (data, pattern) => assert.throws(() => parseDataset(data), pattern);
+  rejects({ documents: [], questions: [{ question: "?" }] }, /documents must be a non-empty array/);
+  rejects({ documents: [{ id: "a" }], questions: [{ question: "?" }] }, /needs a path or a text/);
+  rejects({ documents: [{ id: "a", text: "x" }], questions: [{ question: "?", expectedSource: "b" }] }, /unknown document "b"/);
+});
+
+test("answers are scored on retrieval rank, similarity and groundedness", () => {
+  const documentIds = new Map([["manual", "doc-1"], ["notes", "doc-2"]]);
+  const citations = [
+    { documentId: "doc-2", page: null, pageEnd: null },
+    { documentId: "doc-1", page: 3, pageEnd: 4 },
+  ];
+  assert.equal(sourceRank(citations, [{ document: "manual", page: null }], documentIds), 2);
+  assert.equal(sourceRank(citations, [{ document: "manual", page: 4 }], documentIds), 2);
+  assert.equal(sourceRank(citations, [{ document: "manual", page: 7 }], documentIds), null);
+
+  assert.equal(answerSimilarity("Every six months [1].", "Every six months."), 1);
+  assert.equal(answerSimilarity("Ask the dealer.", "Every six months."), 0);
+  assert.ok(answerSimilarity("Service it every six months and clean the filter.", "Every six months.") > 0.4);
+
+  const context = "[Fragment 1] Service the pump every six months. Clean the inlet filter monthly.";
+  assert.equal(groundedness("Service the pump every six months [1]. It runs on solar power.", context), 0.5);
+  assert.equal(groundedness("[1]", context), null);
+});
+
+test("comparisons report metric deltas and changed hits", () => {
+  const report = { metrics: { hitRate: 1, mrr: 0.75, answerSimilarity: 0.5, groundedness: null }, results: [{ id: "q1", question: "A?", hit: true }] };
+  const baseline = { metrics: { hitRate: 0.5, mrr: 0.75, answerSimilarity: 0.6, groundedness: 0.5 }, results: [{ id: "q1", hit: false }], run: { createdAt: "2026-01-01T00:00:00.000Z" } };
+  const comparison = compareReports(report, baseline);
+  assert.deepEqual(comparison.metrics.hitRate, { baseline: 0.5, current: 1, delta: 0.5 });
+  assert.equal(comparison.metrics.answerSimilarity.delta, -0.1);
+  assert.equal(comparison.metrics.groundedness.delta, null);
+  assert.deepEqual(comparison.changed, [{ id: "q1", question: "A?", hit: true, baselineHit: false }]);
+});
+
+test.describe("evaluation runs", () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startServer();
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  test("a dataset is ingested and every question is scored", async () => {
+    const dataset = parseDataset({
+      name: "pumps",
+      documents: [
+        { id: "guide", path: "guide.md" },
+        { id: "warranty", text: "The pump has a two-year warranty. Frost damage is not covered." },
+      ],
+      questions: [
+        { question: "What does error E42 mean?", expectedAnswer: "The pressure sensor is disconnected.", expectedSource: "guide" },
+        { question: "How long is the pump warranty?", expectedAnswer: "Two years.", expectedSource: "warranty" },
+        { question: "Who won the football match?" },
+      ],
+    }, fixturesDir);
+
+    const progress = [];
+    const report = await runEvaluation(ctx.ragSystem, dataset, { k: 2, mode: "hybrid", chunking: { strategy: "recursive", unit: "characters", size: 200, overlap: 0 }, onProgress: (completed) => progress.push(completed) });
+    assert.deepEqual(progress, [1, 2, 3]);
+    assert.equal(report.config.llm, "fake:fake-chat");
+    assert.equal(report.dataset.questions, 3);
+
+    const [e42, warranty, football] = report.results;
+    assert.equal(e42.rank, 1);
+    assert.equal(e42.citations[0].document, "guide.md");
+    assert.equal(warranty.hit, true);
+    assert.equal(football.hit, null);
+    assert.equal(football.notFound, true);
+    assert.equal(report.metrics.hitRate, 1);
+    assert.equal(report.metrics.mrr, 1);
+    assert.equal(report.metrics.notFound, 1);
+    assert.equal(typeof report.metrics.groundedness, "number");
+
+    const html = renderHtmlReport(report);
+    assert.match(html, /<title>RAG evaluation: pumps<\/title>/);
+    assert.match(html, /What does error E42 mean\?/);
+  });
+});
+
+test("the eval command writes JSON and HTML reports offline", async () => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), "rag-eval-test-"));
+  try {
+    const { stdout } = await promisify(execFile)(process.execPath, [
+      "eval.js", "eval/sample-dataset.json", "--offline", "--out", outDir,
+    ], { cwd: rootDir, timeout: 60000 });
+    assert.match(stdout, /hitRate/);
+
+    const report = JSON.parse(fs.readFileSync(path.join(outDir, "report.json"), "utf8"));
+    assert.equal(report.dataset.name, "sample");
+    assert.equal(report.results.length, 5);
+    assert.ok(report.metrics.hitRate > 0);
+    assert.match(fs.readFileSync(path.join(outDir, "report.html"), "utf8"), /<table>/);
+  } finally {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,151 @@
+import { test, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { FakeChatModel } from "../lib/providers.js";
+import { compileSchema, fieldQueries, parseJsonReply, checkReply } from "../lib/extraction.js";
+import { startServer, request } from "./helpers.js";
+
+const invoiceSchema = {
+  type: "object",
+  properties: {
+    invoiceNumber: { type: "string", description: "Invoice number" },
+    total: { type: "number", description: "Total amount due" },
+    dueDate: { type: "string", description: "Payment due date" },
+  },
+  required: ["invoiceNumber", "total"],
+  additionalProperties: false,
+};
+
+test("extraction schemas must be object schemas with properties", () => {
+  const rejects = (schema, pattern) => assert.throws(() => compileSchema(schema), (error) => error.status === 400 && pattern.test(error.message));
+  rejects(undefined, /JSON Schema object/);
+  rejects({ type: "string" }, /type "object"/);
+  rejects({ type: "object", properties: {} }, /between 1 and 50 properties/);
+  rejects({ type: "object", properties: { total: { type: "money" } } }, /not a valid JSON Schema/);
+
+  assert.deepEqual(compileSchema(invoiceSchema).fields, ["invoiceNumber", "total", "dueDate"]);
+  assert.deepEqual(fieldQueries(invoiceSchema), ["invoice Number: Invoice number", "total: Total amount due", "due Date: Payment due date"]);
+});
+
+test("replies are parsed from fences and checked against the schema", () => {
+  assert.deepEqual(parseJsonReply('Sure!\n```json\n{"data": {"a": 1}}\n```'), { data: { a: 1 } });
+  assert.equal(parseJsonReply("no json here"), undefined);
+
+  const { validate } = compileSchema(invoiceSchema);
+  const valid = checkReply({ data: { invoiceNumber: "INV-7", total: 12.5 }, sources: { total: [2, 9, "x"] } }, { validate, fragmentCount: 3 });
+  assert.deepEqual(valid.errors, []);
+  assert.deepEqual(valid.sources, { invoiceNumber: [], total: [2] });
+
+  const wrong = checkReply({ data: { invoiceNumber: "INV-7", total: "12.50 EUR" } }, { validate, fragmentCount: 3 });
+  assert.deepEqual(wrong.errors, ["/total must be number"]);
+  assert.match(checkReply({ answer: 1 }, { validate, fragmentCount: 3 }).errors[0], /"data" object/);
+});
+
+test.describe("extraction API", () => {
+  let ctx;
+  let defaultLLM;
+  let documentId;
+
+  before(async () => {
+    ctx = await startServer();
+    defaultLLM = ctx.ragSystem.llm;
+    const { body } = await request(ctx.baseUrl, "/api/documents", {
+      method: "POST",
+      body: {
+        documents: [
+          "Invoice INV-2041 issued by Acme Pumps Ltd to Northwind Water.",
+          "Total amount due: 1,250.00 EUR. Payment is due by 2026-03-31.",
+        ],
+      },
+    });
+    documentId = body.document.id;
+  });
+
+  afterEach(() => {
+    ctx.ragSystem.llm = defaultLLM;
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  // Fake model answering the extraction prompt with `replies` in turn
+  function replyWith(...replies) {
+    const prompts = [];
+    ctx.ragSystem.llm = new FakeChatModel({
+      respond: (prompt) => {
+        prompts.push(prompt);
+        return replies[Math.min(prompts.length, replies.length) - 1];
+      },
+    });
+    return prompts;
+  }
+
+  const fragmentOf = (prompt, text) => Number(prompt.match(new RegExp(`\\[Fragment (\\d+)\\][^\\[]*${text}`))[1]);
+
+  test("fields are returned with the fragments they come from", async () => {
+    const prompts = [];
+    ctx.ragSystem.llm = new FakeChatModel({
+      respond: (prompt) => {
+        prompts.push(prompt);
+        return JSON.stringify({
+          data: { invoiceNumber: "INV-2041", total: 1250, dueDate: "2026-03-31" },
+          sources: { invoiceNumber: [fragmentOf(prompt, "INV-2041")], total: [fragmentOf(prompt, "Total amount")], dueDate: [fragmentOf(prompt, "Total amount")] },
+        });
+      },
+    });
+
+    const { status, body } = await request(ctx.baseUrl, "/api/extract", { method: "POST", body: { documentId, schema: invoiceSchema } });
+    assert.equal(status, 200);
+    assert.deepEqual(body.data, { invoiceNumber: "INV-2041", total: 1250, dueDate: "2026-03-31" });
+    assert.equal(body.attempts, 1);
+    assert.match(body.sources.invoiceNumber[0].snippet, /INV-2041/);
+    assert.match(body.sources.total[0].snippet, /1,250.00 EUR/);
+    assert.equal(body.fragments.length, 2);
+    assert.match(prompts[0], /"invoiceNumber"/);
+  });
+
+  test("invalid output is sent back to the model for repair", async () => {
+    const prompts = replyWith(
+      "The total is 1,250.00 EUR.",
+      '{"data": {"invoiceNumber": "INV-2041", "total": "1,250.00"}}',
+      '{"data": {"invoiceNumber": "INV-2041", "total": 1250}, "sources": {"total": [1]}}',
+    );
+
+    const { status, body } = await request(ctx.baseUrl, "/api/extract", { method: "POST", body: { documentId, schema: invoiceSchema } });
+    assert.equal(status, 200);
+    assert.equal(body.attempts, 3);
+    assert.deepEqual(body.data, { invoiceNumber: "INV-2041", total: 1250 });
+    assert.match(prompts[1], /That reply is not valid:\n- the reply must be a JSON object/);
+    assert.match(prompts[2], /- \/total must be number/);
+  });
+
+  test("extraction fails with 422 after the last attempt", async () => {
+    replyWith('{"data": {"total": "unknown"}}');
+    const { status, body } = await request(ctx.baseUrl, "/api/extract", { method: "POST", body: { documentId, schema: invoiceSchema } });
+    assert.equal(status, 422);
+    assert.equal(body.code, "extraction_failed");
+    assert.equal(body.attempts, 3);
+    assert.ok(body.errors.includes("data must have required property 'invoiceNumber'"));
+  });
+
+  test("a schema with an $id can be sent again", async () => {
+    const schema = { $id: "invoice", ...invoiceSchema };
+    for (let i = 0; i < 2; i++) {
+      replyWith('{"data": {"invoiceNumber": "INV-2041", "total": 1250}, "sources": {"total": [1]}}');
+      const { status, body } = await request(ctx.baseUrl, "/api/extract", { method: "POST", body: { documentId, schema } });
+      assert.equal(status, 200, body.error);
+      assert.equal(body.data.invoiceNumber, "INV-2041");
+    }
+  });
+
+  test("requests are validated", async () => {
+    const missing = await request(ctx.baseUrl, "/api/extract", { method: "POST", body: { schema: invoiceSchema } });
+    assert.equal(missing.status, 400);
+
+    const badSchema = await request(ctx.baseUrl, "/api/extract", { method: "POST", body: { documentId, schema: { type: "array" } } });
+    assert.equal(badSchema.status, 400);
+
+    const unknown = await request(ctx.baseUrl, "/api/extract", { method: "POST", body: { documentId: "nope", schema: invoiceSchema } });
+    assert.equal(unknown.status, 404);
+  });
+});
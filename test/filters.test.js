@@ -0,0 +1,93 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, request, ingestFixture, streamEvents } from "./helpers.js";
+
+let ctx;
+let manual;
+let guide;
+let notes;
+
+const query = (body) => request(ctx.baseUrl, "/api/rag/query", { method: "POST", body: { query: "pump", k: 5, ...body } });
+const sources = (citations) => [...new Set(citations.map(c => c.document || "Text batch"))].sort();
+
+before(async () => {
+  ctx = await startServer();
+
+  manual = (await ingestFixture(ctx.baseUrl, "manual.pdf", { fields: { tags: "manual, pumps" } })).result.info;
+  guide = (await ingestFixture(ctx.baseUrl, "guide.md", {
+    field: "file",
+    type: "text/markdown",
+    route: "/api/upload",
+    fields: { tags: "pumps" },
+  })).result.info;
+  notes = (await request(ctx.baseUrl, "/api/documents", {
+    method: "POST",
+    body: { documents: ["Notes about the pump service visit."], tags: ["notes"] },
+  })).body.document;
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+test("tags supplied at upload are stored on the document", async () => {
+  assert.deepEqual(manual.tags, ["manual", "pumps"]);
+  assert.deepEqual(guide.tags, ["pumps"]);
+  assert.deepEqual(notes.tags, ["notes"]);
+});
+
+test("queries without filters search every document", async () => {
+  const { body } = await query({});
+  assert.deepEqual(sources(body.citations), ["Text batch", "guide.md", "manual.pdf"]);
+  assert.equal(body.retrieval.documentIds, undefined);
+});
+
+test("filters limit retrieval to the matching documents", async () => {
+  const byId = await query({ filters: { documentIds: [guide.documentId] } });
+  assert.equal(byId.status, 200);
+  assert.deepEqual(sources(byId.body.citations), ["guide.md"]);
+  assert.deepEqual(byId.body.retrieval.documentIds, [guide.documentId]);
+
+  const byName = await query({ filters: { filename: "MANUAL.pdf" } });
+  assert.deepEqual(sources(byName.body.citations), ["manual.pdf"]);
+
+  const byType = await query({ filters: { type: ["markdown", "text"] } });
+  assert.deepEqual(sources(byType.body.citations), ["Text batch", "guide.md"]);
+
+  const byTags = await query({ filters: { tags: ["pumps", "manual"] } });
+  assert.deepEqual(sources(byTags.body.citations), ["manual.pdf"]);
+
+  const byDate = await query({ filters: { uploadedAfter: "2000-01-01", uploadedBefore: new Date(Date.now() + 60000).toISOString() } });
+  assert.deepEqual(sources(byDate.body.citations), ["Text batch", "guide.md", "manual.pdf"]);
+});
+
+test("the streaming route applies filters too", async () => {
+  const { events } = await streamEvents(ctx.baseUrl, "/api/rag/query/stream", {
+    query: "pump",
+    filters: { tags: ["notes"] },
+  });
+  const done = events.find(e => e.event === "done");
+  assert.deepEqual(done.data.citations.map(c => c.documentId), [notes.id]);
+});
+
+test("filters matching nothing return 404", async () => {
+  const { status, body } = await query({ filters: { uploadedBefore: "2000-01-01" } });
+  assert.equal(status, 404);
+  assert.equal(body.error, "No documents match the filters");
+});
+
+test("invalid filters are rejected", async () => {
+  const cases = [
+    [[], "filters must be an object"],
+    [{ documentIds: "abc" }, "filters.documentIds must be an array of document ids"],
+    [{ filename: 3 }, "filters.filename must be a string"],
+    [{ type: [1] }, "filters.type must be a document type or an array of types"],
+    [{ uploadedAfter: "yesterday" }, "filters.uploadedAfter must be an ISO date"],
+    [{ tags: {} }, "filters.tags must be an array of tags"],
+  ];
+  for (const [filters, message] of cases) {
+    const { status, body } = await query({ filters });
+    assert.equal(status, 400);
+    assert.equal(body.error, message);
+  }
+});
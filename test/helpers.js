@@ -0,0 +1,112 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const fixturesDir = path.join(__dirname, "fixtures");
+
+// Boot the Express app offline (fake LLM + hash embeddings) on a random
+// port with a throwaway data directory. Each test file runs in its own
+// process, so every file gets a fresh server.
+export async function startServer() {
+  // The test runner reads results from stdout, so keep the server's
+  // progress logs out of it (set TEST_VERBOSE=1 to see them on stderr)
+  console.log = process.env.TEST_VERBOSE ? console.error : () => {};
+
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "rag-test-"));
+  process.env.LLM_PROVIDER = "fake";
+  process.env.EMBEDDING_PROVIDER = "fake";
+  process.env.DATA_DIR = dataDir;
+  // Provider failures are retried; keep the backoff short
+  process.env.RETRY_BASE_DELAY_MS = "1";
+
+  const { app, ragSystem, sessionStore, jobStore } = await import("../server.js");
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, "127.0.0.1", () => resolve(listener));
+  });
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    dataDir,
+    ragSystem,
+    sessionStore,
+    jobStore,
+    async close() {
+      // Expire every job so files kept for retries are deleted
+      await jobStore.sweep(Infinity);
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+// JSON request returning { status, headers, body }
+export async function request(baseUrl, urlPath, { method = "GET", body, headers = {} } = {}) {
+  const response = await fetch(`${baseUrl}${urlPath}`, {
+    method,
+    headers: body ? { "Content-Type": "application/json", ...headers } : headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const text = await response.text();
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: text ? JSON.parse(text) : null,
+  };
+}
+
+// Multipart upload of a fixture file (by default through the legacy PDF route)
+export async function uploadFixture(baseUrl, filename, { field = "pdf", type = "application/pdf", route = "/api/upload-pdf", fields = {}, headers = {} } = {}) {
+  const form = new FormData();
+  for (const [name, value] of Object.entries(fields)) {
+    form.append(name, value);
+  }
+  const content = fs.readFileSync(path.join(fixturesDir, filename));
+  form.append(field, new Blob([content], { type }), filename);
+
+  const response = await fetch(`${baseUrl}${route}`, { method: "POST", body: form, headers });
+  return { status: response.status, body: await response.json() };
+}
+
+// Poll an ingestion job until it completes or fails, and return it
+export async function waitForJob(baseUrl, jobId, { timeoutMs = 20000, headers = {} } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const { body } = await request(baseUrl, `/api/jobs/${jobId}`, { headers });
+    if (body.status === "completed" || body.status === "failed") {
+      return body;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Job ${jobId} did not finish within ${timeoutMs}ms`);
+}
+
+// Upload a fixture and wait for its ingestion job
+export async function ingestFixture(baseUrl, filename, options) {
+  const upload = await uploadFixture(baseUrl, filename, options);
+  if (upload.status !== 202) {
+    throw new Error(`Upload failed with ${upload.status}: ${upload.body.error}`);
+  }
+  return waitForJob(baseUrl, upload.body.jobId, { headers: options?.headers });
+}
+
+// Call a Server-Sent Events route (POST with a body, GET without) and
+// collect the events it sends
+export async function streamEvents(baseUrl, urlPath, body, headers = {}) {
+  const response = await fetch(`${baseUrl}${urlPath}`, body === undefined ? { headers } : {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+  const text = await response.text();
+
+  const events = text.split("\n\n").filter(Boolean).map(raw => {
+    const event = raw.match(/^event: (.*)$/m)?.[1];
+    const data = raw.match(/^data: (.*)$/m)?.[1];
+    return { event, data: data ? JSON.parse(data) : null };
+  });
+  return { status: response.status, contentType: response.headers.get("content-type"), events };
+}
@@ -0,0 +1,112 @@
+import { test, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { HashEmbeddings } from "../lib/providers.js";
+import { startServer, request, uploadFixture, waitForJob, streamEvents } from "./helpers.js";
+
+let ctx;
+let defaultEmbeddings;
+
+before(async () => {
+  ctx = await startServer();
+  defaultEmbeddings = ctx.ragSystem.embeddings;
+});
+
+afterEach(() => {
+  ctx.ragSystem.embeddings = defaultEmbeddings;
+  delete process.env.EMBEDDING_BATCH_SIZE;
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+// Embeddings that wait before each batch, so a job stays observable
+class SlowEmbeddings extends HashEmbeddings {
+  async embedDocuments(texts) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    return super.embedDocuments(texts);
+  }
+}
+
+test("uploads return a job that reports every ingestion stage", async () => {
+  process.env.EMBEDDING_BATCH_SIZE = "1";
+  const updates = [];
+  const onUpdate = job => updates.push({ id: job.id, status: job.status, stage: job.stage, progress: job.progress });
+  ctx.jobStore.on("update", onUpdate);
+
+  const upload = await uploadFixture(ctx.baseUrl, "manual.pdf");
+  assert.equal(upload.status, 202);
+  assert.ok(upload.body.jobId);
+  assert.equal(upload.body.job.filename, "manual.pdf");
+
+  const job = await waitForJob(ctx.baseUrl, upload.body.jobId);
+  ctx.jobStore.off("update", onUpdate);
+  assert.equal(job.status, "completed");
+  assert.equal(job.attempts, 1);
+  assert.equal(job.result.info.filename, "manual.pdf");
+
+  const mine = updates.filter(update => update.id === job.id);
+  const stages = [...new Set(mine.map(update => update.stage).filter(Boolean))];
+  assert.deepEqual(stages, ["parsing", "chunking", "embedding", "indexing"]);
+
+  // One progress update per embedding batch
+  const batches = mine.filter(update => update.stage === "embedding").map(update => update.progress);
+  const total = batches[0].total;
+  assert.equal(total, ctx.ragSystem.documents.get(job.result.info.documentId).chunks);
+  assert.deepEqual(batches.map(progress => progress.completed), Array.from({ length: total + 1 }, (_, i) => i));
+});
+
+test("GET /api/jobs/:id/events streams progress until the job is done", async () => {
+  process.env.EMBEDDING_BATCH_SIZE = "1";
+  ctx.ragSystem.embeddings = new SlowEmbeddings();
+
+  const upload = await uploadFixture(ctx.baseUrl, "guide.md", { field: "file", type: "text/markdown", route: "/api/upload" });
+  const { status, contentType, events } = await streamEvents(ctx.baseUrl, `/api/jobs/${upload.body.jobId}/events`);
+  assert.equal(status, 200);
+  assert.match(contentType, /text\/event-stream/);
+
+  assert.ok(events.filter(e => e.event === "progress").length > 0);
+  const done = events[events.length - 1];
+  assert.equal(done.event, "done");
+  assert.equal(done.data.status, "completed");
+  assert.equal(done.data.result.info.type, "markdown");
+});
+
+test("failed jobs leave the index untouched and can be retried", async () => {
+  const before = (await request(ctx.baseUrl, "/api/documents")).body.total;
+  ctx.ragSystem.embeddings = new HashEmbeddings();
+  ctx.ragSystem.embeddings.embedDocuments = async () => {
+    throw new Error("[503 Service Unavailable] embedding backend down");
+  };
+
+  const upload = await uploadFixture(ctx.baseUrl, "parts.csv", { field: "file", type: "text/csv", route: "/api/upload" });
+  const failed = await waitForJob(ctx.baseUrl, upload.body.jobId);
+  assert.equal(failed.status, "failed");
+  assert.match(failed.error, /embedding backend down/);
+  assert.equal((await request(ctx.baseUrl, "/api/documents")).body.total, before);
+
+  ctx.ragSystem.embeddings = defaultEmbeddings;
+  const retried = await request(ctx.baseUrl, `/api/jobs/${failed.id}/retry`, { method: "POST" });
+  assert.equal(retried.status, 202);
+
+  const job = await waitForJob(ctx.baseUrl, failed.id);
+  assert.equal(job.status, "completed");
+  assert.equal(job.attempts, 2);
+  assert.equal(job.error, null);
+  assert.equal((await request(ctx.baseUrl, "/api/documents")).body.total, before + 1);
+
+  const again = await request(ctx.baseUrl, `/api/jobs/${failed.id}/retry`, { method: "POST" });
+  assert.equal(again.status, 409);
+});
+
+test("unknown jobs return 404", async () => {
+  const job = await request(ctx.baseUrl, "/api/jobs/unknown-id");
+  assert.equal(job.status, 404);
+  assert.equal(job.body.error, "Job not found");
+
+  const retry = await request(ctx.baseUrl, "/api/jobs/unknown-id/retry", { method: "POST" });
+  assert.equal(retry.status, 404);
+
+  const listed = await request(ctx.baseUrl, "/api/jobs");
+  assert.equal(listed.body.total, 3);
+});
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { findLoader } from "../lib/loaders.js";
+import { fixturesDir } from "./helpers.js";
+
+async function loadFixture(filename) {
+  const loader = findLoader(filename);
+  return loader.load(fs.readFileSync(path.join(fixturesDir, filename)), filename);
+}
+
+test("findLoader picks the loader by extension, then by MIME type", () => {
+  assert.equal(findLoader("report.PDF").name, "pdf");
+  assert.equal(findLoader("notes.md", "application/octet-stream").name, "markdown");
+  assert.equal(findLoader("export.csv", "application/vnd.ms-excel").name, "csv");
+  assert.equal(findLoader("upload", "text/html").name, "html");
+  assert.equal(findLoader("photo.png", "image/png"), null);
+});
+
+test("the Markdown loader splits on headings outside code fences", async () => {
+  const { sections } = await loadFixture("guide.md");
+  assert.deepEqual(sections.map(section => section.metadata.heading), [
+    "Pump guide",
+    "Pump guide > Installation",
+    "Pump guide > Troubleshooting",
+    "Pump guide > Troubleshooting > Error E42",
+  ]);
+  assert.match(sections[1].text, /# not a heading/);
+});
+
+test("the HTML loader skips scripts and styles and keeps the outline", async () => {
+  const { sections } = await loadFixture("guide.html");
+  assert.deepEqual(sections.map(section => section.metadata.heading), [
+    "Pump guide",
+    "Pump guide > Maintenance",
+    "Pump guide > Warranty",
+  ]);
+  assert.equal(sections[1].text, "Maintenance\nClean the filter every 3 months.\nReplace the seals every year.");
+  assert.ok(sections.every(section => !/not indexed|font-family/.test(section.text)));
+});
+
+test("the DOCX loader maps Word heading styles to headings", async () => {
+  const { sections } = await loadFixture("guide.docx");
+  assert.deepEqual(sections.map(section => section.metadata.heading), ["Pump guide", "Pump guide > Safety"]);
+  assert.match(sections[1].text, /Disconnect power/);
+});
+
+test("the CSV loader writes one section per row with its header names", async () => {
+  const { sections, details } = await loadFixture("parts.csv");
+  assert.deepEqual(details, { rows: 3, columns: 3 });
+  assert.equal(sections[2].text, "part: P-102; name: Seal kit, large; price: 9.99");
+  assert.deepEqual(sections[2].metadata, { sheet: "parts", row: 3 });
+});
+
+test("the PDF loader returns one section per page", async () => {
+  const { sections, details } = await loadFixture("manual.pdf");
+  assert.equal(details.pages, 3);
+  assert.deepEqual(sections.map(section => section.metadata.page), [1, 2, 3]);
+  assert.match(sections[1].text, /E42/);
+});
@@ -0,0 +1,110 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { HumanMessage, AIMessage } from "@langchain/core/messages";
+import { ConversationMemory, memorySettings, recentStart } from "../lib/memory.js";
+import { startServer, request } from "./helpers.js";
+
+const turns = (count, words = 20) => Array.from({ length: count }, (_, i) => [
+  new HumanMessage(`Question ${i}: ${"word ".repeat(words)}`),
+  new AIMessage(`Answer ${i}: ${"word ".repeat(words)}`),
+]).flat();
+
+test("memory settings come from the environment", () => {
+  assert.deepEqual(memorySettings({}), { strategy: "summary", tokenBudget: 1500, summaryMaxTokens: 300 });
+  assert.equal(memorySettings({ MEMORY_STRATEGY: "window", MEMORY_TOKEN_BUDGET: "200" }).tokenBudget, 200);
+  assert.throws(() => memorySettings({ MEMORY_STRATEGY: "everything" }), /Unknown MEMORY_STRATEGY/);
+});
+
+test("the recent window fits the budget and starts with a question", () => {
+  const messages = turns(5);
+  assert.equal(recentStart(messages, 100000), 0);
+  assert.equal(recentStart(messages, 0), messages.length);
+
+  const start = recentStart(messages, 60);
+  assert.ok(start > 0 && start < messages.length);
+  assert.equal(start % 2, 0);
+});
+
+test("messages leaving the window are summarized once, long messages stay whole", async () => {
+  const prompts = [];
+  const memory = new ConversationMemory({
+    tokenBudget: 60,
+    summarize: async (prompt) => {
+      prompts.push(prompt);
+      return `summary ${prompts.length}`;
+    },
+  });
+  const conversation = {};
+  const messages = turns(4);
+
+  const first = await memory.context(conversation, messages);
+  assert.equal(prompts.length, 1);
+  assert.match(prompts[0], /Current summary:\n\(none\)/);
+  assert.match(prompts[0], /User: Question 0/);
+  assert.equal(first.summary, "summary 1");
+  assert.equal(conversation.summary.messages, messages.length - first.recentMessages);
+  // Recent turns are verbatim, not cut at 200 characters
+  assert.ok(first.historyText.includes(messages[messages.length - 1].content));
+
+  await memory.context(conversation, messages);
+  assert.equal(prompts.length, 1);
+
+  const second = await memory.context(conversation, [...messages, ...turns(1)]);
+  assert.equal(prompts.length, 2);
+  assert.match(prompts[1], /Current summary:\nsummary 1/);
+  assert.equal(second.summary, "summary 2");
+});
+
+test("the window strategy drops old messages without summarizing", async () => {
+  const memory = new ConversationMemory({ strategy: "window", tokenBudget: 60, summarize: () => assert.fail("summarized") });
+  const conversation = {};
+  const { summary, recentMessages } = await memory.context(conversation, turns(4));
+  assert.equal(summary, "");
+  assert.ok(recentMessages < 8);
+  assert.equal(conversation.summary, undefined);
+});
+
+test.describe("summarized memory in the chat", () => {
+  let ctx;
+
+  before(async () => {
+    process.env.MEMORY_TOKEN_BUDGET = "40";
+    ctx = await startServer();
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  test("older turns are summarized and shown in /api/memory", async () => {
+    const headers = { "X-Session-Id": "session-summary" };
+    const prompts = [];
+    const generate = ctx.ragSystem.generate.bind(ctx.ragSystem);
+    ctx.ragSystem.generate = async (prompt, options) => {
+      prompts.push(prompt);
+      return generate(prompt, options);
+    };
+    try {
+      for (const message of ["My pump is the P-7 model.", "It runs at 40 bar.", "What was my pump model again?"]) {
+        await request(ctx.baseUrl, "/api/chat", { method: "POST", body: { message }, headers });
+      }
+    } finally {
+      delete ctx.ragSystem.generate;
+    }
+
+    const { body } = await request(ctx.baseUrl, "/api/memory", { headers });
+    assert.equal(body.total, 6);
+    assert.equal(body.strategy, "summary");
+    assert.equal(body.tokenBudget, 40);
+    assert.ok(body.summary.messages > 0);
+    assert.ok(body.summary.text.length > 0);
+
+    const summaryPrompt = prompts.find(prompt => prompt.includes("Progressively summarize"));
+    assert.match(summaryPrompt, /User: My pump is the P-7 model\./);
+    assert.match(prompts[prompts.length - 1], /Summary of the earlier conversation:/);
+
+    await request(ctx.baseUrl, "/api/memory", { method: "DELETE", headers });
+    const cleared = await request(ctx.baseUrl, "/api/memory", { headers });
+    assert.equal(cleared.body.summary, null);
+  });
+});
@@ -0,0 +1,143 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { Logger, logSettings } from "../lib/logger.js";
+import { MetricsRegistry } from "../lib/metrics.js";
+import { startServer, request, ingestFixture } from "./helpers.js";
+
+function captureLogger(options) {
+  const lines = [];
+  const logger = new Logger({ ...options, write: (line, level) => lines.push({ line, level }) });
+  return { logger, lines };
+}
+
+test("log entries redact user content and respect the level", () => {
+  const { logger, lines } = captureLogger({ level: "info" });
+  logger.debug("hidden");
+  logger.info("Chat", { question: "What is my salary?", nested: { apiKey: "secret" }, sources: 3 });
+  logger.error("Failed", { error: Object.assign(new Error("boom"), { code: "provider_timeout" }) });
+
+  assert.equal(lines.length, 2);
+  const entry = JSON.parse(lines[0].line);
+  assert.equal(entry.msg, "Chat");
+  assert.equal(entry.question, "[redacted 18 chars]");
+  assert.equal(entry.nested.apiKey, "[redacted 6 chars]");
+  assert.equal(entry.sources, 3);
+
+  const failure = JSON.parse(lines[1].line);
+  assert.equal(lines[1].level, "error");
+  assert.equal(failure.error.code, "provider_timeout");
+  assert.match(failure.error.stack, /boom/);
+
+  const text = captureLogger({ format: "text", redact: [] });
+  text.logger.child({ component: "jobs" }).warn("Slow", { question: "Hi" });
+  assert.match(text.lines[0].line, /WARN  Slow component=jobs question=Hi$/);
+
+  assert.deepEqual(logSettings({ LOG_REDACT: "none" }).redact, []);
+  assert.throws(() => logSettings({ LOG_LEVEL: "verbose" }), /Unknown LOG_LEVEL/);
+});
+
+test("metrics render in the Prometheus text format", async () => {
+  const metrics = new MetricsRegistry();
+  const requests = metrics.counter({ name: "requests_total", help: "Requests", labelNames: ["route"] });
+  const latency = metrics.histogram({ name: "latency_seconds", help: "Latency", buckets: [0.1, 1] });
+  metrics.gauge({ name: "queue_length", help: "Queue", collect: () => [{ value: 4 }] });
+  requests.inc({ route: '/api/"x"' });
+  requests.inc({ route: '/api/"x"' }, 2);
+  latency.observe({}, 0.5);
+
+  const text = await metrics.render();
+  assert.match(text, /# TYPE requests_total counter\nrequests_total\{route="\/api\/\\"x\\""\} 3/);
+  assert.match(text, /latency_seconds_bucket\{le="0.1"\} 0\nlatency_seconds_bucket\{le="1"\} 1\nlatency_seconds_bucket\{le="\+Inf"\} 1/);
+  assert.match(text, /latency_seconds_sum 0.5\nlatency_seconds_count 1/);
+  assert.match(text, /queue_length 4/);
+  assert.throws(() => metrics.counter({ name: "requests_total", help: "Again" }), /already registered/);
+});
+
+test.describe("request logging and metrics", () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startServer();
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  // Log entries written while `fn` runs
+  async function captureLogs(fn) {
+    const entries = [];
+    const { log, error } = console;
+    console.log = console.error = (line) => entries.push(JSON.parse(line));
+    try {
+      await fn();
+    } finally {
+      Object.assign(console, { log, error });
+    }
+    return entries;
+  }
+
+  test("requests carry an id through their log entries", async () => {
+    let generated;
+    const entries = await captureLogs(async () => {
+      generated = await request(ctx.baseUrl, "/api/health");
+      const given = await request(ctx.baseUrl, "/api/health", { headers: { "X-Request-Id": "trace-42" } });
+      assert.equal(given.headers.get("x-request-id"), "trace-42");
+      const invalid = await request(ctx.baseUrl, "/api/health", { headers: { "X-Request-Id": "no spaces allowed" } });
+      assert.notEqual(invalid.headers.get("x-request-id"), "no spaces allowed");
+      await ingestFixture(ctx.baseUrl, "guide.md", { field: "file", type: "text/markdown", route: "/api/upload", headers: { "X-Request-Id": "upload-1" } });
+    });
+
+    assert.match(generated.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+    const access = entries.find(entry => entry.msg === "Request completed" && entry.requestId === "trace-42");
+    assert.equal(access.route, "/api/health");
+    assert.equal(access.status, 200);
+    assert.equal(typeof access.durationMs, "number");
+    // Multer runs the upload route outside the request's context; it is restored
+    assert.ok(entries.some(entry => entry.msg === "Queued ingestion job" && entry.requestId === "upload-1"));
+  });
+
+  test("LLM calls and retrieval are logged as spans without the question", async () => {
+    const question = "What does error E42 mean?";
+    const entries = await captureLogs(async () => {
+      const { status } = await request(ctx.baseUrl, "/api/rag/query", { method: "POST", body: { query: question }, headers: { "X-Request-Id": "query-1" } });
+      assert.equal(status, 200);
+    });
+
+    const spans = entries.filter(entry => entry.msg === "span" && entry.requestId === "query-1");
+    const retrieval = spans.find(entry => entry.span === "retrieval");
+    assert.equal(retrieval.mode, "hybrid");
+    assert.ok(retrieval.results > 0);
+    const llm = spans.find(entry => entry.span === "llm");
+    assert.equal(llm.model, "fake:fake-chat");
+    assert.equal(llm.outcome, "ok");
+    assert.ok(llm.promptTokens > 0 && llm.completionTokens > 0);
+    assert.ok(entries.every(entry => !JSON.stringify(entry).includes(question)));
+  });
+
+  test("GET /metrics reports requests, LLM usage and the index", async () => {
+    const response = await fetch(`${ctx.baseUrl}/metrics`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-type"), /^text\/plain;.*version=0.0.4/);
+    const text = await response.text();
+
+    assert.match(text, /http_requests_total\{method="GET",route="\/api\/health",status="200"\} 3/);
+    assert.match(text, /http_request_duration_seconds_count\{method="POST",route="\/api\/rag\/query"\} 1/);
+    assert.match(text, /llm_requests_total\{outcome="ok"\} 1/);
+    assert.match(text, /llm_tokens_total\{type="completion"\} \d+/);
+    assert.match(text, /retrieval_duration_seconds_count\{mode="hybrid"\} 1/);
+    assert.match(text, /provider_calls_total\{scheduler="llm"\} 1/);
+    assert.match(text, /rag_documents 1/);
+  });
+
+  test("GET /metrics requires METRICS_TOKEN when it is set", async () => {
+    process.env.METRICS_TOKEN = "scrape-me";
+    try {
+      assert.equal((await fetch(`${ctx.baseUrl}/metrics`)).status, 401);
+      assert.equal((await fetch(`${ctx.baseUrl}/metrics`, { headers: { Authorization: "Bearer wrong" } })).status, 401);
+      assert.equal((await fetch(`${ctx.baseUrl}/metrics`, { headers: { Authorization: "Bearer scrape-me" } })).status, 200);
+    } finally {
+      delete process.env.METRICS_TOKEN;
+    }
+  });
+});
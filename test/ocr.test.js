@@ -0,0 +1,52 @@
+import { test, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, request, ingestFixture } from "./helpers.js";
+
+let ctx;
+
+before(async () => {
+  ctx = await startServer();
+});
+
+afterEach(() => {
+  delete process.env.OCR_ENABLED;
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+test("scanned pages are OCR'd and reported in the upload response", async () => {
+  const job = await ingestFixture(ctx.baseUrl, "invoice-scan.pdf");
+  assert.equal(job.status, "completed");
+  const body = job.result;
+  assert.equal(body.info.pages, 2);
+  assert.deepEqual(body.info.ocrPages.map(entry => entry.page), [1, 2]);
+  assert.ok(body.info.ocrPages.every(entry => entry.confidence > 50 && entry.confidence <= 100));
+  assert.match(body.preview, /INVOICE 1042/);
+
+  const chunks = ctx.ragSystem.getDocumentChunks(body.info.documentId);
+  assert.ok(chunks.every(doc => typeof doc.metadata.ocrConfidence === "number"));
+  assert.equal(chunks[0].metadata.pageStart, 1);
+});
+
+test("OCR'd text can be queried with citations", async () => {
+  const { status, body } = await request(ctx.baseUrl, "/api/rag/query", {
+    method: "POST",
+    body: { query: "What is the late fee?" },
+  });
+  assert.equal(status, 200);
+  assert.equal(body.citations[0].document, "invoice-scan.pdf");
+  assert.equal(typeof body.citations[0].ocrConfidence, "number");
+});
+
+test("the fallback can be turned off with OCR_ENABLED=false", async () => {
+  process.env.OCR_ENABLED = "false";
+  // Otherwise the upload is recognized as a duplicate of the first test's
+  for (const record of ctx.ragSystem.listDocuments()) {
+    await ctx.ragSystem.deleteDocument(record.id);
+  }
+  const job = await ingestFixture(ctx.baseUrl, "invoice-scan.pdf");
+  assert.equal(job.status, "failed");
+  assert.match(job.error, /No extractable text found in PDF \(might be scanned\/image-based\)/);
+});
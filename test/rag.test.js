@@ -0,0 +1,205 @@
+import { test, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { FakeChatModel } from "../lib/providers.js";
+import { startServer, request, ingestFixture, streamEvents } from "./helpers.js";
+
+let ctx;
+let defaultLLM;
+
+before(async () => {
+  ctx = await startServer();
+  defaultLLM = ctx.ragSystem.llm;
+});
+
+afterEach(() => {
+  ctx.ragSystem.llm = defaultLLM;
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+test("POST /api/rag/query requires a query", async () => {
+  for (const route of ["/api/rag/query", "/api/rag/query/stream"]) {
+    for (const query of [undefined, "  ", 123, {}]) {
+      const { status, body } = await request(ctx.baseUrl, route, { method: "POST", body: { query } });
+      assert.equal(status, 400);
+      assert.equal(body.error, "Please provide a query");
+    }
+  }
+  const summary = await request(ctx.baseUrl, "/api/summarize", { method: "POST", body: { text: { x: 1 } } });
+  assert.equal(summary.status, 400);
+});
+
+test("POST /api/rag/query fails before any document is loaded", async () => {
+  const { status, body } = await request(ctx.baseUrl, "/api/rag/query", {
+    method: "POST",
+    body: { query: "What does error E42 mean?" },
+  });
+  assert.equal(status, 409);
+  assert.equal(body.code, "no_documents");
+  assert.equal(body.error, "Please upload a PDF or load documents first!");
+});
+
+test("POST /api/rag/query answers with page-level citations", async () => {
+  const upload = await ingestFixture(ctx.baseUrl, "manual.pdf");
+  assert.equal(upload.status, "completed");
+
+  const { status, body } = await request(ctx.baseUrl, "/api/rag/query", {
+    method: "POST",
+    body: { query: "What does error code E42 mean?" },
+  });
+  assert.equal(status, 200);
+  assert.match(body.answer, /\[1\]/);
+  assert.equal(body.sources, body.citations.length);
+  assert.equal(body.pdfInfo.filename, "manual.pdf");
+
+  const [top] = body.citations;
+  assert.equal(top.fragment, 1);
+  assert.equal(top.document, "manual.pdf");
+  assert.equal(top.documentId, upload.result.info.documentId);
+  assert.ok(top.page >= 1 && top.page <= 3);
+  assert.ok(top.snippet.length > 0);
+  assert.equal(typeof top.score, "number");
+});
+
+test("POST /api/rag/query/stream sends tokens then a done event", async () => {
+  const { status, contentType, events } = await streamEvents(ctx.baseUrl, "/api/rag/query/stream", {
+    query: "How long is the warranty?",
+  });
+  assert.equal(status, 200);
+  assert.match(contentType, /text\/event-stream/);
+
+  const tokens = events.filter(e => e.event === "token").map(e => e.data.text).join("");
+  const done = events.find(e => e.event === "done");
+  assert.ok(done);
+  assert.equal(tokens, done.data.answer);
+  assert.ok(done.data.citations.length > 0);
+});
+
+test("POST /api/rag/query/stream reports failures as an error event", async () => {
+  ctx.ragSystem.llm = new FakeChatModel({
+    respond: () => { throw new Error("[429 Too Many Requests] Resource has been exhausted (e.g. check quota)."); },
+  });
+
+  const { events } = await streamEvents(ctx.baseUrl, "/api/rag/query/stream", { query: "warranty" });
+  const error = events.find(e => e.event === "error");
+  assert.ok(error);
+  assert.equal(error.data.status, 429);
+  assert.equal(events.some(e => e.event === "done"), false);
+});
+
+test("POST /api/summarize summarizes text", async () => {
+  const missing = await request(ctx.baseUrl, "/api/summarize", { method: "POST", body: {} });
+  assert.equal(missing.status, 400);
+
+  const { status, body } = await request(ctx.baseUrl, "/api/summarize", {
+    method: "POST",
+    body: { text: "A long text about pumps and their maintenance schedules." },
+  });
+  assert.equal(status, 200);
+  assert.equal(typeof body.summary, "string");
+  assert.ok(body.summary.length > 0);
+});
+
+test("POST /api/pdf-summary summarizes the whole document", async () => {
+  const { status, body } = await request(ctx.baseUrl, "/api/pdf-summary", {
+    method: "POST",
+    body: { style: "bullets", length: "short" },
+  });
+  assert.equal(status, 200);
+  assert.equal(body.style, "bullets");
+  assert.equal(body.length, "short");
+  assert.equal(body.sections, 1);
+  assert.equal(body.document.source, "manual.pdf");
+  assert.ok(body.summary.length > 0);
+});
+
+test("POST /api/pdf-summary validates its options", async () => {
+  const style = await request(ctx.baseUrl, "/api/pdf-summary", { method: "POST", body: { style: "poem" } });
+  assert.equal(style.status, 400);
+
+  const length = await request(ctx.baseUrl, "/api/pdf-summary", { method: "POST", body: { length: "huge" } });
+  assert.equal(length.status, 400);
+
+  const document = await request(ctx.baseUrl, "/api/pdf-summary", { method: "POST", body: { documentId: "nope" } });
+  assert.equal(document.status, 404);
+});
+
+test("POST /api/pdf-summary/stream reports progress", async () => {
+  const { events } = await streamEvents(ctx.baseUrl, "/api/pdf-summary/stream", {});
+  const stages = events.filter(e => e.event === "progress").map(e => e.data.stage);
+  assert.ok(stages.includes("combine"));
+  assert.ok(events.find(e => e.event === "done").data.summary.length > 0);
+});
+
+test("POST /api/pdf-summary maps quota errors", async () => {
+  ctx.ragSystem.llm = new FakeChatModel({
+    respond: () => { throw new Error("[429 Too Many Requests] quota exceeded"); },
+  });
+
+  const { status, headers, body } = await request(ctx.baseUrl, "/api/pdf-summary", { method: "POST", body: {} });
+  assert.equal(status, 429);
+  assert.equal(body.code, "rate_limited");
+  assert.equal(headers.get("retry-after"), "60");
+  assert.equal(body.error, "API Quota Exceeded or rate limited. Please retry in 60s.");
+});
+
+test("POST /api/rag/query validates the retrieval options", async () => {
+  const mode = await request(ctx.baseUrl, "/api/rag/query", { method: "POST", body: { query: "pump", mode: "fuzzy" } });
+  assert.equal(mode.status, 400);
+  assert.equal(mode.body.error, "Unknown retrieval mode. Use one of: vector, keyword, hybrid");
+
+  for (const k of [0, 21, 2.5, "3"]) {
+    const { status } = await request(ctx.baseUrl, "/api/rag/query", { method: "POST", body: { query: "pump", k } });
+    assert.equal(status, 400);
+  }
+});
+
+test("keyword and hybrid retrieval find exact part numbers", async () => {
+  const added = await request(ctx.baseUrl, "/api/documents", {
+    method: "POST",
+    body: {
+      documents: [
+        "Part P-101 is the pressure sensor of the pump.",
+        "The inlet hose carries water into the pump housing.",
+        "Replace the pump seals when the pump leaks water.",
+      ],
+    },
+  });
+
+  const keyword = await request(ctx.baseUrl, "/api/rag/query", {
+    method: "POST",
+    body: { query: "P-101", mode: "keyword", k: 2 },
+  });
+  assert.equal(keyword.status, 200);
+  assert.deepEqual(keyword.body.retrieval, { mode: "keyword", k: 2, reranker: "lexical", candidates: 1, minRelevance: 0.3 });
+  // Only the chunk containing the term matches
+  assert.equal(keyword.body.citations.length, 1);
+  assert.match(keyword.body.citations[0].snippet, /P-101/);
+  assert.equal(keyword.body.citations[0].scores.vector, null);
+
+  const hybrid = await request(ctx.baseUrl, "/api/rag/query", {
+    method: "POST",
+    body: { query: "Which part is P-101?", mode: "hybrid", k: 2, minRelevance: 0 },
+  });
+  assert.equal(hybrid.body.citations.length, 2);
+  assert.match(hybrid.body.citations[0].snippet, /P-101/);
+  assert.equal(typeof hybrid.body.citations[0].scores.vector, "number");
+  assert.equal(typeof hybrid.body.citations[0].scores.keyword, "number");
+
+  const vector = await request(ctx.baseUrl, "/api/rag/query", {
+    method: "POST",
+    body: { query: "pump water", mode: "vector", k: 4 },
+  });
+  assert.equal(vector.body.citations.length, 4);
+  assert.ok(vector.body.citations.every(c => c.scores.keyword === null && c.score === c.scores.vector));
+
+  // Removed documents drop out of the keyword index too
+  await request(ctx.baseUrl, `/api/documents/${added.body.document.id}`, { method: "DELETE" });
+  const removed = await request(ctx.baseUrl, "/api/rag/query", {
+    method: "POST",
+    body: { query: "P-101", mode: "keyword" },
+  });
+  assert.equal(removed.body.citations.length, 0);
+});
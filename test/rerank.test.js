@@ -0,0 +1,114 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { LexicalReranker, LLMReranker, NoReranker, createReranker, maximalMarginalRelevance } from "../lib/rerank.js";
+import { startServer, request, streamEvents } from "./helpers.js";
+
+test("the lexical reranker scores fragments by the query words they contain", async () => {
+  const scores = await new LexicalReranker().score("What does error E42 mean?", [
+    "Error code E42 means the pressure sensor is disconnected.",
+    "The pump housing is made of cast iron.",
+    "E42 appears on the display.",
+  ]);
+  assert.ok(scores[0] >= 0.9);
+  assert.equal(scores[1], 0);
+  assert.ok(scores[2] > 0 && scores[2] < scores[0]);
+});
+
+test("the lexical reranker keeps paraphrases the first stage found by meaning", async () => {
+  const texts = ["To restart the unit, hold the power button for ten seconds.", "The warranty lasts two years."];
+  const [paraphrase, unrelated] = await new LexicalReranker().score("How do I reboot the machine?", texts, { similarities: [0.82, 0.41] });
+  assert.ok(paraphrase >= 0.6);
+  assert.equal(unrelated, 0);
+  // Without a vector similarity (keyword mode) only the words count
+  assert.deepEqual(await new LexicalReranker().score("How do I reboot the machine?", texts, { similarities: [null, null] }), [0, 0]);
+});
+
+test("the LLM reranker parses ratings and falls back to lexical scores", async () => {
+  const rated = new LLMReranker({ generate: async () => "Here you go: [8, 0, 5]" });
+  assert.deepEqual(await rated.score("pump", ["a", "b", "c"]), [0.8, 0, 0.5]);
+
+  const confused = new LLMReranker({ generate: async () => "I cannot rate these." });
+  assert.deepEqual(await confused.score("pump", ["pump seals", "hose"]), await new LexicalReranker().score("pump", ["pump seals", "hose"]));
+
+  assert.deepEqual(await new NoReranker().score("pump", ["a", "b"], { scores: [0.5, 0.25] }), [1, 0.5]);
+  assert.throws(() => createReranker("magic"), /Unknown RERANKER/);
+});
+
+test("maximal marginal relevance skips near-duplicates", () => {
+  const candidates = [
+    { text: "Replace the pump seals when the pump leaks water.", relevance: 0.9 },
+    { text: "Replace the pump seals when the pump leaks water!", relevance: 0.89 },
+    { text: "Check the pump pressure sensor every month.", relevance: 0.7 },
+  ];
+  assert.deepEqual(maximalMarginalRelevance(candidates, { k: 2, lambda: 0.7 }).map(c => c.relevance), [0.9, 0.7]);
+  assert.deepEqual(maximalMarginalRelevance(candidates, { k: 2, lambda: 1 }).map(c => c.relevance), [0.9, 0.89]);
+});
+
+test.describe("reranked retrieval", () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startServer();
+    await request(ctx.baseUrl, "/api/documents", {
+      method: "POST",
+      body: {
+        documents: [
+          "Error code E42 means the pressure sensor is disconnected.",
+          "Error code E42 means the pressure sensor is disconnected. Check the cable.",
+          "Error code E42 means the sensor cable is loose.",
+          "The warranty covers the pump housing for two years.",
+        ],
+      },
+    });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  test("questions the documents do not answer get an explicit not found result", async () => {
+    let called = false;
+    const generate = ctx.ragSystem.generate.bind(ctx.ragSystem);
+    ctx.ragSystem.generate = async (...args) => {
+      called = true;
+      return generate(...args);
+    };
+    try {
+      const { status, body } = await request(ctx.baseUrl, "/api/rag/query", { method: "POST", body: { query: "Who won the football match?" } });
+      assert.equal(status, 200);
+      assert.equal(body.notFound, true);
+      assert.equal(body.answer, "I could not find this in your documents.");
+      assert.deepEqual(body.citations, []);
+      assert.ok(body.retrieval.candidates > 0);
+    } finally {
+      delete ctx.ragSystem.generate;
+    }
+    assert.equal(called, false);
+
+    const { events } = await streamEvents(ctx.baseUrl, "/api/rag/query/stream", { query: "Who won the football match?" });
+    const done = events.find(e => e.event === "done");
+    assert.equal(done.data.notFound, true);
+    assert.equal(events.filter(e => e.event === "token").map(e => e.data.text).join(""), done.data.answer);
+  });
+
+  test("relevant fragments are diverse and carry their relevance", async () => {
+    const { body } = await request(ctx.baseUrl, "/api/rag/query", { method: "POST", body: { query: "What does error E42 mean?", k: 2 } });
+    assert.equal(body.notFound, undefined);
+    assert.equal(body.citations.length, 2);
+    assert.ok(body.citations.every(c => c.relevance >= 0.3));
+    // The second fragment is the other explanation, not the near-duplicate
+    assert.match(body.citations[1].snippet, /loose/);
+    assert.equal(body.retrieval.reranker, "lexical");
+    assert.equal(body.retrieval.candidates, 4);
+  });
+
+  test("minRelevance can be set per request", async () => {
+    const strict = await request(ctx.baseUrl, "/api/rag/query", { method: "POST", body: { query: "pump warranty sensor", minRelevance: 0.95 } });
+    assert.equal(strict.body.notFound, true);
+    assert.equal(strict.body.retrieval.minRelevance, 0.95);
+
+    const invalid = await request(ctx.baseUrl, "/api/rag/query", { method: "POST", body: { query: "pump", minRelevance: 2 } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, "minRelevance must be a number between 0 and 1");
+  });
+});
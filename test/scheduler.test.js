@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { RequestScheduler } from "../lib/scheduler.js";
+import { classifyProviderError, RateLimitError, ProviderUnavailableError, ProviderAuthError } from "../lib/errors.js";
+
+test("provider errors are classified by status and message", () => {
+  const quota = classifyProviderError(new Error("[429 Too Many Requests] Quota exceeded. Please retry in 12.4s."));
+  assert.ok(quota instanceof RateLimitError);
+  assert.equal(quota.status, 429);
+  assert.equal(quota.retryAfter, 13);
+
+  const headers = new Headers({ "retry-after": "7" });
+  assert.equal(classifyProviderError(Object.assign(new Error("Too Many Requests"), { status: 429, headers })).retryAfter, 7);
+  assert.ok(classifyProviderError(Object.assign(new Error("Bad gateway"), { status: 502 })) instanceof ProviderUnavailableError);
+  assert.ok(classifyProviderError(new Error("fetch failed")) instanceof ProviderUnavailableError);
+  const network = new TypeError("fetch failed", { cause: Object.assign(new Error("connect ECONNREFUSED"), { code: "ECONNREFUSED" }) });
+  assert.ok(classifyProviderError(network) instanceof ProviderUnavailableError);
+  assert.ok(classifyProviderError(new Error("[400 Bad Request] API key not valid")) instanceof ProviderAuthError);
+
+  const other = classifyProviderError(new Error("Something unexpected"));
+  assert.equal(other.status, 500);
+  assert.equal(other.retryable, false);
+});
+
+test("retryable failures are retried with exponential backoff", async () => {
+  const scheduler = new RequestScheduler({ maxRetries: 3, baseDelayMs: 1, random: () => 1 });
+  let calls = 0;
+  const result = await scheduler.run(async () => {
+    calls++;
+    if (calls < 3) throw new Error("[503 Service Unavailable]");
+    return "ok";
+  });
+
+  assert.equal(result, "ok");
+  assert.equal(calls, 3);
+  assert.equal(scheduler.stats.retries, 2);
+  assert.deepEqual([0, 1, 2, 3].map(attempt => scheduler.backoff(attempt)), [1, 2, 4, 8]);
+});
+
+test("bugs in a scheduled call are thrown unchanged and not retried", async () => {
+  const scheduler = new RequestScheduler({ maxRetries: 3, baseDelayMs: 1 });
+  const bug = new TypeError("text.toLowerCase is not a function");
+  let calls = 0;
+  await assert.rejects(scheduler.run(async () => {
+    calls++;
+    throw bug;
+  }), (error) => error === bug);
+  assert.equal(calls, 1);
+  assert.equal(scheduler.stats.retries, 0);
+});
+
+test("backoff waits at least Retry-After and is capped", () => {
+  const scheduler = new RequestScheduler({ baseDelayMs: 1000, maxDelayMs: 5000, random: () => 0.5 });
+  assert.equal(scheduler.backoff(10), 2500);
+  assert.equal(scheduler.backoff(0, 3), 3000);
+});
+
+test("non-retryable failures and exhausted retries are thrown classified", async () => {
+  const scheduler = new RequestScheduler({ maxRetries: 2, baseDelayMs: 1 });
+  let calls = 0;
+  await assert.rejects(scheduler.run(async () => {
+    calls++;
+    throw new Error("API key not valid");
+  }), (error) => error instanceof ProviderAuthError && error.status === 401);
+  assert.equal(calls, 1);
+
+  calls = 0;
+  await assert.rejects(scheduler.run(async () => {
+    calls++;
+    throw new Error("[429 Too Many Requests]");
+  }), (error) => error instanceof RateLimitError && error.code === "rate_limited");
+  assert.equal(calls, 3);
+});
+
+test("the request bucket spaces calls out, first in first out", async () => {
+  let now = 0;
+  const scheduler = new RequestScheduler({ requestsPerMinute: 2, now: () => now });
+  const order = [];
+  const calls = ["a", "b", "c"].map(name => scheduler.run(async () => order.push(name)));
+
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(order, ["a", "b"]);
+  assert.equal(scheduler.pending, 1);
+
+  now = 30 * 1000;
+  scheduler.drain();
+  await Promise.all(calls);
+  assert.deepEqual(order, ["a", "b", "c"]);
+});
+
+test("a large request is not overtaken by smaller ones", async () => {
+  let now = 0;
+  const scheduler = new RequestScheduler({ tokensPerMinute: 100, now: () => now });
+  const order = [];
+  const small = scheduler.run(async () => order.push("small-1"), { tokens: 60 });
+  const large = scheduler.run(async () => order.push("large"), { tokens: 80 });
+  const later = scheduler.run(async () => order.push("small-2"), { tokens: 10 });
+
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(order, ["small-1"]);
+
+  now = 60 * 1000;
+  scheduler.drain();
+  await Promise.all([small, large, later]);
+  assert.deepEqual(order, ["small-1", "large", "small-2"]);
+});
+
+test("calls that would wait longer than the queue limit fail with 429", async () => {
+  let now = 0;
+  const scheduler = new RequestScheduler({ requestsPerMinute: 1, maxQueueWaitMs: 1000, now: () => now });
+  await scheduler.run(async () => "first");
+
+  await assert.rejects(scheduler.run(async () => "second"), (error) => {
+    return error instanceof RateLimitError && error.retryAfter === 60;
+  });
+  assert.equal(scheduler.pending, 0);
+});
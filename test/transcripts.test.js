@@ -0,0 +1,145 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { parseTranscript, transcriptToMarkdown } from "../lib/transcripts.js";
+import { startServer, request } from "./helpers.js";
+
+let ctx;
+
+const session = (id) => ({ "X-Session-Id": id });
+
+before(async () => {
+  ctx = await startServer();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+test("invalid transcripts are rejected with 400 errors", () => {
+  const rejects = (data, pattern) => assert.throws(() => parseTranscript(data), (error) => error.status === 400 && pattern.test(error.message));
+  rejects([], /must be a JSON object/);
+  rejects({ version: 2, messages: [] }, /Unsupported transcript version/);
+  rejects({ messages: "hello" }, /messages must be an array/);
+  rejects({ messages: [{ role: "system", content: "x" }] }, /messages\[0\]\.role/);
+  rejects({ messages: [{ role: "user", content: 42 }] }, /messages\[0\]\.content/);
+  rejects({ messages: [{ role: "user", content: "x", timestamp: "yesterday" }] }, /messages\[0\]\.timestamp/);
+});
+
+test("imported citations keep only well-formed fields", () => {
+  const { messages } = parseTranscript({
+    messages: [{
+      role: "assistant",
+      content: "See [1].",
+      citations: [
+        { fragment: 1, document: "manual.pdf", page: 3, row: "<b>2</b>", heading: { html: "<i>" }, snippet: "x".repeat(5000), scores: { vector: 0.8, keyword: "high" }, onclick: "alert(1)" },
+        { fragment: "<img src=x onerror=alert(1)>", document: "evil" },
+        "not a citation",
+      ],
+    }],
+  });
+  assert.deepEqual(messages[0].additional_kwargs.citations, [
+    { fragment: 1, page: 3, document: "manual.pdf", snippet: "x".repeat(1000), scores: { vector: 0.8, keyword: null } },
+  ]);
+});
+
+test("markdown transcripts list the sources of answers", () => {
+  const markdown = transcriptToMarkdown({
+    title: "Pumps",
+    createdAt: "2026-01-01T10:00:00.000Z",
+    exportedAt: "2026-01-02T10:00:00.000Z",
+    messages: [
+      { role: "user", content: "What is E42?", timestamp: "2026-01-01T10:00:00.000Z", mode: "documents" },
+      {
+        role: "assistant",
+        content: "A disconnected sensor [1].",
+        timestamp: "2026-01-01T10:00:01.500Z",
+        mode: "documents",
+        latencyMs: 1500,
+        citations: [{ fragment: 1, document: "manual.pdf", page: 3, pageEnd: 4 }],
+      },
+    ],
+  });
+
+  assert.match(markdown, /^# Pumps\n/);
+  assert.match(markdown, /## 🧑 User — 2026-01-01T10:00:00.000Z · from documents\n\nWhat is E42\?/);
+  assert.match(markdown, /## 🤖 Assistant — 2026-01-01T10:00:01.500Z · from documents · 1.50s/);
+  assert.match(markdown, /- \[1\] manual.pdf \(p. 3-4\)/);
+});
+
+test("messages are stored with their timestamp, mode and latency", async () => {
+  const headers = session("session-export");
+  const startedAt = Date.now();
+  await request(ctx.baseUrl, "/api/chat", { method: "POST", body: { message: "Hello there" }, headers });
+
+  const { body } = await request(ctx.baseUrl, "/api/memory", { headers });
+  const [question, answer] = body.history;
+  assert.equal(question.mode, "chat");
+  assert.ok(Date.parse(question.timestamp) >= startedAt - 1000);
+  assert.ok(Date.parse(answer.timestamp) >= Date.parse(question.timestamp));
+  assert.equal(typeof answer.latencyMs, "number");
+  assert.equal(question.latencyMs, undefined);
+
+  // Timestamps are stored, not generated when memory is read
+  const again = await request(ctx.baseUrl, "/api/memory", { headers });
+  assert.equal(again.body.history[0].timestamp, question.timestamp);
+});
+
+test("conversations export as JSON and Markdown", async () => {
+  const headers = session("session-export");
+  const { body: conversations } = await request(ctx.baseUrl, "/api/conversations", { headers });
+  const id = conversations.conversations[0].id;
+
+  const json = await request(ctx.baseUrl, `/api/conversations/${id}/export`, { headers });
+  assert.equal(json.status, 200);
+  assert.match(json.headers.get("content-disposition"), /attachment; filename="conversation-.*\.json"/);
+  assert.equal(json.body.version, 1);
+  assert.equal(json.body.id, id);
+  assert.deepEqual(json.body.messages.map(message => message.role), ["user", "assistant"]);
+  assert.equal(json.body.messages[1].content, "This is a fake response to: Hello there");
+
+  const markdown = await fetch(`${ctx.baseUrl}/api/conversations/${id}/export?format=markdown`, { headers });
+  assert.match(markdown.headers.get("content-type"), /text\/markdown/);
+  assert.match(await markdown.text(), /## 🤖 Assistant — .*\n\nThis is a fake response to: Hello there/);
+
+  const unknown = await request(ctx.baseUrl, `/api/conversations/${id}/export?format=pdf`, { headers });
+  assert.equal(unknown.status, 400);
+  const foreign = await request(ctx.baseUrl, `/api/conversations/${id}/export`, { headers: session("session-other") });
+  assert.equal(foreign.status, 404);
+});
+
+test("an imported transcript is resumed by the chat", async () => {
+  const { body: conversations } = await request(ctx.baseUrl, "/api/conversations", { headers: session("session-export") });
+  const { body: transcript } = await request(ctx.baseUrl, `/api/conversations/${conversations.conversations[0].id}/export`, {
+    headers: session("session-export"),
+  });
+
+  const headers = session("session-import");
+  const imported = await request(ctx.baseUrl, "/api/conversations/import", { method: "POST", body: transcript, headers });
+  assert.equal(imported.status, 201);
+  assert.equal(imported.body.messages, 2);
+  assert.equal(imported.body.createdAt, transcript.createdAt);
+
+  const memory = await request(ctx.baseUrl, "/api/memory", { headers });
+  assert.equal(memory.body.conversationId, imported.body.id);
+  assert.equal(memory.body.history[0].timestamp, transcript.messages[0].timestamp);
+
+  // The next chat prompt includes the imported history
+  let prompt = null;
+  const generate = ctx.ragSystem.generate.bind(ctx.ragSystem);
+  ctx.ragSystem.generate = async (text, options) => {
+    prompt = text;
+    return generate(text, options);
+  };
+  try {
+    await request(ctx.baseUrl, "/api/chat", { method: "POST", body: { message: "And now?" }, headers });
+  } finally {
+    delete ctx.ragSystem.generate;
+  }
+  assert.match(prompt, /User: Hello there/);
+
+  const resumed = await request(ctx.baseUrl, "/api/memory", { headers });
+  assert.equal(resumed.body.total, 4);
+
+  const invalid = await request(ctx.baseUrl, "/api/conversations/import", { method: "POST", body: { messages: [{ role: "bot" }] }, headers });
+  assert.equal(invalid.status, 400);
+});